@@ -6,6 +6,528 @@ const FIELD_CONFIG = [
 ];
 
 const DEFAULT_COLUMNS = new Set(FIELD_CONFIG.map((field) => field.canonical));
+const CONTENT_COLUMNS = ["title", "username", "password", "url"];
+
+const CANONICAL_LABELS = {
+  group: "Group",
+  url: "URL",
+  notes: "Notes",
+  totp: "TOTP",
+  created: "Created",
+};
+
+const GENERIC_FORMAT = {
+  id: "generic",
+  label: "Generic CSV",
+  columns: {},
+  groupColumns: ["group"],
+};
+
+const FORMAT_PROFILES = [
+  {
+    id: "keepassxc",
+    label: "KeePassXC",
+    signature: [
+      "group",
+      "title",
+      "username",
+      "password",
+      "url",
+      "notes",
+      "totp",
+      "icon",
+      "last modified",
+      "created",
+    ],
+    columns: {
+      title: ["title"],
+      username: ["username"],
+      password: ["password"],
+      url: ["url"],
+      notes: ["notes"],
+      totp: ["totp"],
+      "last modified": ["last modified"],
+      created: ["created"],
+    },
+    groupColumns: ["group"],
+  },
+  {
+    id: "keepass",
+    label: "KeePass 2",
+    signature: ["account", "login name", "password", "web site", "comments"],
+    columns: {
+      title: ["account"],
+      username: ["login name"],
+      password: ["password"],
+      url: ["web site"],
+      notes: ["comments"],
+    },
+    groupColumns: ["group"],
+  },
+  {
+    id: "bitwarden",
+    label: "Bitwarden",
+    signature: [
+      "folder",
+      "favorite",
+      "type",
+      "name",
+      "notes",
+      "fields",
+      "reprompt",
+      "login_uri",
+      "login_username",
+      "login_password",
+      "login_totp",
+    ],
+    columns: {
+      title: ["name"],
+      username: ["login_username"],
+      password: ["login_password"],
+      url: ["login_uri"],
+      notes: ["notes"],
+      totp: ["login_totp"],
+      "last modified": ["revisiondate"],
+      created: ["creationdate"],
+    },
+    groupColumns: ["folder"],
+  },
+  {
+    id: "1password",
+    label: "1Password",
+    signature: [
+      "title",
+      "url",
+      "username",
+      "password",
+      "otpauth",
+      "favorite",
+      "archived",
+      "tags",
+      "notes",
+    ],
+    columns: {
+      title: ["title"],
+      username: ["username"],
+      password: ["password"],
+      url: ["url", "website"],
+      notes: ["notes", "notesplain"],
+      totp: ["otpauth", "one-time password"],
+      "last modified": ["last modified", "lastedited"],
+      created: ["created", "createdat"],
+    },
+    groupColumns: ["vault"],
+  },
+  {
+    id: "lastpass",
+    label: "LastPass",
+    signature: [
+      "url",
+      "username",
+      "password",
+      "totp",
+      "extra",
+      "name",
+      "grouping",
+      "fav",
+    ],
+    columns: {
+      title: ["name"],
+      username: ["username"],
+      password: ["password"],
+      url: ["url"],
+      notes: ["extra"],
+      totp: ["totp"],
+    },
+    groupColumns: ["grouping"],
+  },
+  {
+    id: "chrome",
+    label: "Chrome",
+    signature: ["name", "url", "username", "password", "note"],
+    columns: {
+      title: ["name"],
+      username: ["username"],
+      password: ["password"],
+      url: ["url"],
+      notes: ["note"],
+    },
+    groupColumns: [],
+  },
+];
+
+const GROUP_COLUMNS = [
+  ...new Set(
+    [GENERIC_FORMAT, ...FORMAT_PROFILES].flatMap(
+      (profile) => profile.groupColumns
+    )
+  ),
+];
+
+const CSV_DELIMITERS = {
+  comma: { label: "Comma", char: "," },
+  semicolon: { label: "Semicolon", char: ";" },
+  tab: { label: "Tab", char: "\t" },
+  pipe: { label: "Pipe", char: "|" },
+};
+const TEXT_ENCODINGS = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16LE",
+  "utf-16be": "UTF-16BE",
+  "windows-1252": "Windows-1252",
+};
+const CSV_SNIFF_CHARS = 64 * 1024;
+const PROOF_TYPE = "xc-diff-inclusion-proof";
+const SNAPSHOT_TYPE = "xc-diff-snapshot";
+const REPORT_TYPE = "xc-diff-comparison-report";
+const SIGNING_KEY_TYPE = "xc-diff-signing-key";
+const NORMALIZATION_VERSION = 2;
+const WHITESPACE_MODES = ["collapse", "trim", "preserve"];
+const DATE_PRECISIONS = ["second", "minute", "day"];
+const TIMEZONE_ASSUMPTIONS = ["local", "utc"];
+const URL_RULES = ["scheme", "host", "slash"];
+const CASE_FOLD_COLUMNS = ["title", "username", "url", "notes"];
+const MERKLE_SCHEMES = {
+  v1: {
+    leafEncoding: "H(fields joined with |)",
+    combine: "H(H(left || right))",
+    oddNodes: "duplicate-last",
+  },
+  v2: {
+    leafEncoding: "H(0x00 || for each field: uint32be(length) || utf8)",
+    combine: "H(0x01 || left || right)",
+    oddNodes: "promote",
+  },
+};
+const HASH_DIGESTS =
+  typeof module !== "undefined" && module.exports
+    ? require("./hash-algorithms.js")
+    : globalThis;
+const HASH_ALGORITHMS = {
+  sha256: { label: "SHA-256", subtle: "SHA-256" },
+  sha512: { label: "SHA-512", subtle: "SHA-512" },
+  "sha3-256": {
+    label: "SHA3-256",
+    blockSize: 136,
+    digest: (bytes) => HASH_DIGESTS.sha3Digest(bytes),
+  },
+  blake3: {
+    label: "BLAKE3",
+    blockSize: 64,
+    digest: (bytes) => HASH_DIGESTS.blake3Digest(bytes),
+  },
+};
+const FILTER_COLUMNS = [
+  "group",
+  "title",
+  "username",
+  "url",
+  "notes",
+  "totp",
+  "last modified",
+  "created",
+];
+const ROW_FILTER_MODES = { include: "Include only", exclude: "Exclude" };
+const ROW_FILTER_OPERATORS = {
+  equals: "is",
+  contains: "contains",
+  regex: "matches",
+  under: "is in or under",
+};
+const VALUE_TRANSFORMS = {
+  lowercase: {
+    label: "Lowercase",
+    apply: (value) => value.toLowerCase(),
+  },
+  domain: {
+    label: "Domain only",
+    apply: (value) => {
+      const match = value
+        .trim()
+        .match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:[^@/?#]*@)?([^/?#:]+)/i);
+      return match ? match[1].toLowerCase() : value;
+    },
+  },
+  "strip-query": {
+    label: "Strip query string",
+    apply: (value) => value.replace(/[?#][\s\S]*$/, ""),
+  },
+};
+const LEAF_KEYINGS = ["none", "hmac", "pbkdf2"];
+const LEAF_KEY_SALT_BYTES = 16;
+const LEAF_KEY_CHECK = "xc-diff key check";
+const LEAF_KEY_ITERATIONS = 600000;
+const DEFAULT_HASH_SETTINGS = {
+  whitespace: "collapse",
+  caseFold: [],
+  url: [],
+  datePrecision: "second",
+  timezone: "local",
+  scheme: "v1",
+  algorithm: "sha256",
+  keying: "none",
+  keySalt: "",
+  keyId: "",
+  key: null,
+  rowFilters: [],
+  transforms: [],
+};
+const HASH_BATCH_SIZE = 256;
+const HASH_WORKER_URL = "hash-worker.js";
+const NODES_PER_PAGE = 50;
+const DEFAULT_EXPANDED_LEVELS = 3;
+const SMALL_TREE_NODES = 64;
+
+const DEFAULT_STALE_DAYS = 365;
+const WEAK_PASSWORD_BITS = 50;
+const REPORT_LIST_LIMIT = 100;
+const REPORT_FORMATS = {
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  html: { label: "HTML", extension: "html", mimeType: "text/html" },
+};
+const PRESENCE_LABELS = {
+  present: "Present",
+  missing: "Missing",
+  different: "Different",
+};
+const MERGE_CATEGORIES = {
+  ours: "Changed only in A",
+  theirs: "Changed only in B",
+  both: "Changed the same way in both",
+  conflict: "Conflicting changes",
+};
+const DRIFT_FIELD = "last modified";
+const DRIFT_CATEGORIES = {
+  lost: "Older copy has different content",
+  metadata: "Same content, different timestamps",
+  undated: "Different content, neither copy newer",
+};
+const COMMON_PASSWORDS = new Set([
+  "123456",
+  "password",
+  "12345678",
+  "qwerty",
+  "123456789",
+  "12345",
+  "1234",
+  "111111",
+  "1234567",
+  "dragon",
+  "123123",
+  "baseball",
+  "abc123",
+  "football",
+  "monkey",
+  "letmein",
+  "696969",
+  "shadow",
+  "master",
+  "666666",
+  "qwertyuiop",
+  "123321",
+  "mustang",
+  "1234567890",
+  "michael",
+  "654321",
+  "superman",
+  "1qaz2wsx",
+  "7777777",
+  "121212",
+  "000000",
+  "qazwsx",
+  "123qwe",
+  "killer",
+  "trustno1",
+  "jordan",
+  "jennifer",
+  "zxcvbnm",
+  "asdfgh",
+  "hunter",
+  "buster",
+  "soccer",
+  "harley",
+  "batman",
+  "andrew",
+  "tigger",
+  "sunshine",
+  "iloveyou",
+  "charlie",
+  "welcome",
+  "admin",
+  "login",
+  "passw0rd",
+  "changeme",
+  "secret",
+]);
+const PASSWORD_SEQUENCES = [
+  "abcdefghijklmnopqrstuvwxyz",
+  "0123456789",
+  "qwertyuiop",
+  "asdfghjkl",
+  "zxcvbnm",
+];
+
+const RANGE_PREFIX_LENGTH = 5;
+const RANGE_PROBE_BYTES = 128;
+const RANGE_CHUNK_BYTES = 64 * 1024;
+const SESSION_DB_NAME = "xc-diff";
+const SESSION_DB_VERSION = 1;
+const RECENT_SNAPSHOT_LIMIT = 20;
+
+const SIGNATURE_ALGORITHMS = {
+  Ed25519: {
+    keyParams: { name: "Ed25519" },
+    signParams: { name: "Ed25519" },
+  },
+  "ECDSA-P256": {
+    keyParams: { name: "ECDSA", namedCurve: "P-256" },
+    signParams: { name: "ECDSA", hash: "SHA-256" },
+  },
+};
+
+class ExportParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ExportParseError";
+  }
+}
+
+class HashingPipeline {
+  constructor(workerUrl = HASH_WORKER_URL) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.workerFailed = typeof Worker === "undefined";
+    this.activeJob = null;
+    this.nextJobId = 1;
+  }
+
+  run(type, payload, onProgress = null) {
+    this.cancel();
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        type,
+        payload,
+        onProgress,
+        resolve,
+        reject,
+        cancelled: false,
+        inWorker: false,
+      };
+      this.activeJob = job;
+      if (!this.startInWorker(job)) {
+        this.runInline(job);
+      }
+    });
+  }
+
+  cancel() {
+    const job = this.activeJob;
+    if (!job) {
+      return;
+    }
+    job.cancelled = true;
+    this.activeJob = null;
+    if (job.inWorker && this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    job.resolve(null);
+  }
+
+  dispose() {
+    this.cancel();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  startInWorker(job) {
+    if (this.workerFailed) {
+      return false;
+    }
+
+    try {
+      if (!this.worker) {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.addEventListener("message", (event) => {
+          this.handleMessage(event.data);
+        });
+        this.worker.addEventListener("error", (event) => {
+          this.handleWorkerError(event);
+        });
+      }
+      job.inWorker = true;
+      this.worker.postMessage({
+        id: job.id,
+        type: job.type,
+        payload: job.payload,
+      });
+      return true;
+    } catch (error) {
+      console.warn("Hashing worker unavailable; using the main thread.", error);
+      this.workerFailed = true;
+      this.worker = null;
+      job.inWorker = false;
+      return false;
+    }
+  }
+
+  handleMessage(message) {
+    const job = this.activeJob;
+    if (!job || message.id !== job.id) {
+      return;
+    }
+    if (message.type === "progress") {
+      job.onProgress?.(message.progress);
+      return;
+    }
+
+    this.activeJob = null;
+    if (message.type === "result") {
+      job.resolve(message.result);
+    } else {
+      job.reject(restoreError(message.error));
+    }
+  }
+
+  handleWorkerError(event) {
+    event.preventDefault();
+    console.warn("Hashing worker failed; using the main thread.", event);
+    this.workerFailed = true;
+    this.worker?.terminate();
+    this.worker = null;
+
+    const job = this.activeJob;
+    if (job && !job.cancelled) {
+      job.inWorker = false;
+      this.runInline(job);
+    }
+  }
+
+  async runInline(job) {
+    try {
+      const result = await runPipelineJob(job.type, job.payload, {
+        isCurrent: () => !job.cancelled,
+        onProgress: (progress) => {
+          if (!job.cancelled) {
+            job.onProgress?.(progress);
+          }
+        },
+      });
+      if (!job.cancelled) {
+        this.activeJob = null;
+        job.resolve(result);
+      }
+    } catch (error) {
+      if (!job.cancelled) {
+        this.activeJob = null;
+        job.reject(error);
+      }
+    }
+  }
+}
 
 class CsvPanel {
   constructor(root) {
@@ -18,25 +540,86 @@ class CsvPanel {
       merkleTree: root.querySelector('[data-role="merkle-tree"]'),
       merkleControls: root.querySelector('[data-role="merkle-controls"]'),
       rootHashText: root.querySelector('[data-role="root-hash-text"]'),
+      rootRecipe: root.querySelector('[data-role="root-recipe"]'),
+      contentRoot: root.querySelector('[data-role="content-root"]'),
       merkleLevels: root.querySelector('[data-role="merkle-levels"]'),
+      jumpButton: root.querySelector('[data-role="jump-to-diff"]'),
       copyPrefixButton: root.querySelector('[data-role="copy-prefix"]'),
       copyFullButton: root.querySelector('[data-role="copy-full"]'),
       clearButton: root.querySelector('[data-role="clear-data"]'),
+      forgetButton: root.querySelector('[data-role="forget-everything"]'),
+      exportSnapshotButton: root.querySelector('[data-role="export-snapshot"]'),
+      copyLeavesButton: root.querySelector('[data-role="copy-leaves"]'),
+      pasteInput: root.querySelector('[data-role="paste-input"]'),
+      loadPastedButton: root.querySelector('[data-role="load-pasted"]'),
+      progress: root.querySelector('[data-role="progress"]'),
+      progressBar: root.querySelector('[data-role="progress-bar"]'),
+      progressText: root.querySelector('[data-role="progress-text"]'),
+      cancelButton: root.querySelector('[data-role="cancel"]'),
+      formatPicker: root.querySelector('[data-role="format-picker"]'),
+      formatSelect: root.querySelector('[data-role="format-select"]'),
+      dialectPicker: root.querySelector('[data-role="dialect-picker"]'),
+      delimiterPicker: root.querySelector('[data-role="delimiter-picker"]'),
+      delimiterSelect: root.querySelector('[data-role="delimiter-select"]'),
+      encodingSelect: root.querySelector('[data-role="encoding-select"]'),
+      diagnostics: root.querySelector('[data-role="diagnostics"]'),
+      diagnosticsSummary: root.querySelector(
+        '[data-role="diagnostics-summary"]'
+      ),
+      diagnosticsBody: root.querySelector('[data-role="diagnostics-body"]'),
+      activeFilters: root.querySelector('[data-role="active-filters"]'),
+      duplicates: root.querySelector('[data-role="duplicates"]'),
+      duplicatesSummary: root.querySelector('[data-role="duplicates-summary"]'),
+      duplicatesBody: root.querySelector('[data-role="duplicates-body"]'),
+      audit: root.querySelector('[data-role="audit"]'),
+      auditSummary: root.querySelector('[data-role="audit-summary"]'),
+      auditBody: root.querySelector('[data-role="audit-body"]'),
+      staleDaysInput: root.querySelector('[data-role="stale-days"]'),
     };
 
     this.state = {
       parsedHeaders: [],
       parsedEntries: [],
+      fileName: "",
+      sourceLabel: "",
+      formatOverride: "auto",
+      formatId: "",
+      columnPreferences: {},
+      file: null,
+      delimiterOverride: "auto",
+      encodingOverride: "auto",
+      dialect: null,
+      diagnostics: [],
+      snapshot: null,
       activeFields: [],
       computationVersion: 0,
+      pendingJob: null,
+      loadedStatus: null,
+      hashFailed: false,
       currentRootPrefix: "",
       currentRootHash: "",
+      currentContentRoot: "",
+      currentRecipe: "",
+      hashSettings: DEFAULT_HASH_SETTINGS,
       latestHashes: [],
+      latestRecords: [],
+      latestColumns: [],
       lastMerkleData: null,
       highlightedHashes: new Set(),
+      highlightedNodes: new Set(),
+      mergeCategories: new Map(),
+      expandedLevels: new Set(),
+      levelPages: new Map(),
+      diffCursor: -1,
+      auditVersion: 0,
+      breachedHashes: new Map(),
     };
 
     this.onDataChange = null;
+    this.onColumnsChange = null;
+    this.onForget = null;
+    this.snapshotSigner = null;
+    this.pipeline = new HashingPipeline();
 
     this.initialize();
   }
@@ -48,9 +631,26 @@ class CsvPanel {
     });
 
     this.setupDropZone();
+    this.setupFormatPicker();
+    this.setupDialectPicker();
     this.setupCopyButtons();
     this.setupClearButton();
-    this.setStatus("Waiting for a CSV file…");
+    this.elements.jumpButton?.addEventListener("click", () => {
+      this.jumpToNextDifference();
+    });
+    this.elements.cancelButton?.addEventListener("click", () => {
+      this.cancelComputation();
+    });
+    this.elements.exportSnapshotButton?.addEventListener("click", () => {
+      this.exportSnapshot();
+    });
+    this.elements.loadPastedButton?.addEventListener("click", () => {
+      this.loadPastedLeaves(this.elements.pasteInput.value);
+    });
+    this.elements.staleDaysInput?.addEventListener("change", () => {
+      this.renderAudit(Boolean(this.state.lastMerkleData));
+    });
+    this.setStatus("Waiting for an export file…");
   }
 
   async handleFileInput(file) {
@@ -58,21 +658,57 @@ class CsvPanel {
       return;
     }
 
+    const runId = ++this.state.computationVersion;
+    this.state.pendingJob = "read";
+    if (file !== this.state.file) {
+      this.state.delimiterOverride = "auto";
+      this.state.encodingOverride = "auto";
+    }
+    this.state.file = file;
+    this.showProgress(`Reading ${file.name}…`);
+
     try {
-      const text = await file.text();
-      const parsed = parseCsv(text);
+      const loaded = await this.pipeline.run("read", {
+        file,
+        delimiter: this.state.delimiterOverride,
+        encoding: this.state.encodingOverride,
+      });
+      if (runId !== this.state.computationVersion || !loaded) {
+        return;
+      }
+      this.hideProgress();
+
+      if (loaded.kind === "snapshot") {
+        await this.loadSnapshot(loaded.manifest, file.name);
+        return;
+      }
+
+      const parsed = loaded;
       if (!parsed.headers.length) {
         this.setStatus(
-          "Could not find any headers in that file. Please check the CSV.",
+          "Could not find any headers in that file. Please check the export.",
           true
         );
         this.resetData();
         return;
       }
 
+      this.state.snapshot = null;
       this.state.parsedHeaders = parsed.headers;
       this.state.parsedEntries = parsed.rows;
-      this.state.activeFields = buildActiveFields(parsed.headers);
+      this.state.fileName = file.name;
+      this.state.dialect = {
+        encoding: parsed.encoding,
+        delimiter: parsed.delimiter ?? null,
+      };
+      this.state.diagnostics = parsed.diagnostics ?? [];
+      this.state.sourceLabel =
+        parsed.source ||
+        `${TEXT_ENCODINGS[parsed.encoding]} CSV (${CSV_DELIMITERS[
+          parsed.delimiter
+        ].label.toLowerCase()}-separated)`;
+      this.renderDialectPicker();
+      this.renderDiagnostics();
 
       if (!this.state.parsedEntries.length) {
         this.setStatus(
@@ -83,17 +719,355 @@ class CsvPanel {
         return;
       }
 
-      this.setLoadedStatus(
-        file.name,
-        this.state.parsedEntries.length,
-        "All columns (excluding Group) can be hashed. Title, Username, Password, and Last Modified are selected by default."
-      );
-      this.renderColumns();
-      this.updateResults();
+      this.applyFormat();
     } catch (error) {
       console.error(error);
-      this.setStatus("Something went wrong while reading the CSV.", true);
+      this.hideProgress();
+      this.setStatus(
+        error instanceof ExportParseError
+          ? error.message
+          : "Something went wrong while reading the file.",
+        true
+      );
+      this.resetData();
+    }
+  }
+
+  showProgress(label, progress = null) {
+    const { progress: container, progressBar, progressText } = this.elements;
+    if (!container) {
+      return;
+    }
+    container.classList.remove("hidden");
+    progressText.textContent = label;
+    if (progress && progress.total) {
+      const share = progress.phase === "tree" ? [0.8, 0.2] : [0, 0.8];
+      progressBar.value =
+        share[0] + (share[1] * progress.done) / progress.total;
+    } else {
+      progressBar.removeAttribute("value");
+    }
+  }
+
+  hideProgress() {
+    this.state.pendingJob = null;
+    this.elements.progress?.classList.add("hidden");
+  }
+
+  cancelComputation() {
+    const { pendingJob } = this.state;
+    if (!pendingJob) {
+      return;
+    }
+
+    this.state.computationVersion += 1;
+    this.pipeline.cancel();
+    this.hideProgress();
+
+    if (pendingJob === "read") {
       this.resetData();
+      this.setStatus("Loading cancelled.");
+      return;
+    }
+
+    this.state.latestHashes = [];
+    this.state.latestRecords = [];
+    this.state.latestColumns = [];
+    this.renderMerkleTree(null);
+    this.setStatus(
+      "Hashing cancelled. Change the column selection to hash again."
+    );
+    this.notifyChange();
+  }
+
+  async loadSnapshot(manifest, fileName) {
+    const runId = ++this.state.computationVersion;
+    const tree = await buildSnapshotTree(manifest);
+    const signature = await verifySnapshotManifest(manifest);
+    if (runId !== this.state.computationVersion) {
+      return;
+    }
+    if (signature.signed && !signature.valid) {
+      throw new ExportParseError(
+        `The signature on ${fileName} does not match its contents.`
+      );
+    }
+
+    this.resetData();
+    this.state.file = null;
+    this.renderDialectPicker();
+    this.state.snapshot = manifest;
+    this.state.fileName = fileName;
+    this.state.latestHashes = tree.levels[0]
+      .filter((node) => !node.isDuplicate)
+      .map(({ hash }) => ({ hash, title: null }));
+    this.state.latestColumns = [...manifest.columns];
+    this.state.currentRecipe = manifest.recipe ?? formatHashRecipe();
+    this.renderSnapshotColumns(manifest.columns);
+
+    const notes = [
+      `Hash-only snapshot from ${formatTimestamp(manifest.createdAt)}.`,
+      signature.signed
+        ? `Signed with ${signature.algorithm} key ${signature.fingerprint.slice(
+            0,
+            16
+          )}.`
+        : "Unsigned.",
+    ];
+    if (manifest.normalizationVersion !== NORMALIZATION_VERSION) {
+      notes.push(
+        `Built with normalization v${manifest.normalizationVersion}; this page uses v${NORMALIZATION_VERSION}.`
+      );
+    } else if (
+      this.state.currentRecipe !== formatHashRecipe(this.state.hashSettings)
+    ) {
+      notes.push(
+        `Built with recipe ${this.state.currentRecipe}, which differs from the current hash settings.`
+      );
+    }
+    this.setLoadedStatus(fileName, manifest.entryCount, notes.join(" "));
+    this.renderMerkleTree(tree);
+    this.notifyChange();
+  }
+
+  async loadPastedLeaves(text) {
+    try {
+      const manifest = parseSnapshotManifest(text);
+      if (!manifest) {
+        throw new ExportParseError(
+          "That is not a leaf set copied from xc-diff."
+        );
+      }
+      this.elements.fileInput.value = "";
+      await this.loadSnapshot(manifest, "pasted leaf set");
+      this.elements.pasteInput.value = "";
+    } catch (error) {
+      console.error(error);
+      this.setStatus(
+        error instanceof ExportParseError
+          ? error.message
+          : "Something went wrong while reading the pasted leaf set.",
+        true
+      );
+    }
+  }
+
+  renderSnapshotColumns(columns) {
+    const { columnList } = this.elements;
+    columnList.innerHTML = "";
+    columnList.classList.toggle("hidden", !columns.length);
+
+    columns.forEach((canonical) => {
+      const wrapper = document.createElement("label");
+      wrapper.className = "column-item";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      checkbox.disabled = true;
+
+      const labelText = document.createElement("span");
+      labelText.textContent = canonicalLabel(canonical);
+
+      wrapper.appendChild(checkbox);
+      wrapper.appendChild(labelText);
+      columnList.appendChild(wrapper);
+    });
+  }
+
+  describeSnapshot() {
+    return buildSnapshotManifest({
+      root: this.getRootHash(),
+      leaves: this.getHashes().map(({ hash }) => hash),
+      columns: this.getHashedColumns(),
+      source: this.state.fileName,
+      format: this.state.snapshot?.format ?? this.state.formatId,
+      recipe: this.getRecipe(),
+    });
+  }
+
+  getSnapshot() {
+    return this.state.snapshot;
+  }
+
+  async buildSnapshot() {
+    const manifest = this.describeSnapshot();
+    const signingKey =
+      typeof this.snapshotSigner === "function" ? this.snapshotSigner() : null;
+    return signingKey ? signSnapshotManifest(manifest, signingKey) : manifest;
+  }
+
+  async exportSnapshot() {
+    const root = this.getRootHash();
+    if (!root) {
+      return;
+    }
+
+    try {
+      const manifest = await this.buildSnapshot();
+      downloadFile(
+        `snapshot-${root.slice(0, 7)}.json`,
+        JSON.stringify(manifest, null, 2),
+        "application/json"
+      );
+    } catch (error) {
+      console.error(error);
+      this.setStatus("Unable to export a snapshot manifest.", true);
+    }
+  }
+
+  applyFormat() {
+    const { parsedHeaders, formatOverride } = this.state;
+    const detected = detectFormat(parsedHeaders);
+    const profile =
+      formatOverride === "auto"
+        ? detected
+        : findFormatProfile(formatOverride) ?? detected;
+
+    this.state.formatId = profile.id;
+    this.state.activeFields = buildActiveFields(parsedHeaders, profile);
+    this.renderFormatPicker(detected);
+
+    const prefix =
+      formatOverride === "auto" ? "Detected" : "Using the selected";
+    const sourceText = this.state.sourceLabel
+      ? `Read as ${this.state.sourceLabel}. `
+      : "";
+    const problemCount = this.state.diagnostics.length;
+    const problemText = problemCount
+      ? ` ${problemCount.toLocaleString()} parse ${
+          problemCount === 1 ? "problem" : "problems"
+        } found; check them before trusting the root.`
+      : "";
+    this.setLoadedStatus(
+      this.state.fileName,
+      this.state.parsedEntries.length,
+      `${sourceText}${prefix} ${describeFormat(profile)}${problemText}`
+    );
+    this.renderColumns();
+    this.updateResults();
+  }
+
+  setupFormatPicker() {
+    const { formatSelect } = this.elements;
+    if (!formatSelect) {
+      return;
+    }
+
+    formatSelect.innerHTML = "";
+    const autoOption = document.createElement("option");
+    autoOption.value = "auto";
+    autoOption.textContent = "Auto-detect";
+    formatSelect.appendChild(autoOption);
+
+    [...FORMAT_PROFILES, GENERIC_FORMAT].forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.label;
+      formatSelect.appendChild(option);
+    });
+
+    formatSelect.addEventListener("change", () => {
+      this.state.formatOverride = formatSelect.value;
+      if (this.state.parsedEntries.length) {
+        this.applyFormat();
+      }
+    });
+  }
+
+  setupDialectPicker() {
+    const { delimiterSelect, encodingSelect } = this.elements;
+    if (!delimiterSelect || !encodingSelect) {
+      return;
+    }
+
+    [
+      [delimiterSelect, CSV_DELIMITERS, ({ label }) => label],
+      [encodingSelect, TEXT_ENCODINGS, (label) => label],
+    ].forEach(([select, choices, describe]) => {
+      select.innerHTML = "";
+      const autoOption = document.createElement("option");
+      autoOption.value = "auto";
+      autoOption.textContent = "Auto-detect";
+      select.appendChild(autoOption);
+      Object.entries(choices).forEach(([id, choice]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = describe(choice);
+        select.appendChild(option);
+      });
+    });
+
+    delimiterSelect.addEventListener("change", () => {
+      this.state.delimiterOverride = delimiterSelect.value;
+      this.handleFileInput(this.state.file);
+    });
+    encodingSelect.addEventListener("change", () => {
+      this.state.encodingOverride = encodingSelect.value;
+      this.handleFileInput(this.state.file);
+    });
+  }
+
+  renderDialectPicker() {
+    const { dialectPicker, delimiterPicker, delimiterSelect, encodingSelect } =
+      this.elements;
+    if (!dialectPicker || !delimiterSelect || !encodingSelect) {
+      return;
+    }
+
+    const { dialect } = this.state;
+    dialectPicker.classList.toggle("hidden", !this.state.file);
+    delimiterPicker?.classList.toggle(
+      "hidden",
+      Boolean(dialect) && !dialect.delimiter
+    );
+    delimiterSelect.value = this.state.delimiterOverride;
+    encodingSelect.value = this.state.encodingOverride;
+    delimiterSelect.querySelector('option[value="auto"]').textContent =
+      dialect?.delimiter
+        ? `Auto-detect (${CSV_DELIMITERS[dialect.delimiter].label})`
+        : "Auto-detect";
+    encodingSelect.querySelector('option[value="auto"]').textContent = dialect
+      ? `Auto-detect (${TEXT_ENCODINGS[dialect.encoding]})`
+      : "Auto-detect";
+  }
+
+  renderDiagnostics() {
+    const { diagnostics, diagnosticsSummary, diagnosticsBody } = this.elements;
+    if (!diagnostics || !diagnosticsSummary || !diagnosticsBody) {
+      return;
+    }
+    const problems = this.state.diagnostics;
+    diagnosticsBody.innerHTML = "";
+    diagnostics.classList.toggle("hidden", !problems.length);
+    diagnostics.open = problems.length > 0;
+    if (!problems.length) {
+      diagnosticsSummary.textContent = "";
+      return;
+    }
+
+    diagnosticsSummary.textContent = `Parse problems: ${problems.length.toLocaleString()}`;
+    diagnosticsBody.appendChild(
+      createListSection(
+        "By line",
+        problems.map(({ line, message }) => `Line ${line}: ${message}`)
+      )
+    );
+  }
+
+  renderFormatPicker(detected) {
+    const { formatPicker, formatSelect } = this.elements;
+    if (!formatPicker || !formatSelect) {
+      return;
+    }
+
+    formatPicker.classList.toggle("hidden", !detected);
+    formatSelect.value = this.state.formatOverride;
+    const autoOption = formatSelect.querySelector('option[value="auto"]');
+    if (autoOption) {
+      autoOption.textContent = detected
+        ? `Auto-detect (${detected.label})`
+        : "Auto-detect";
     }
   }
 
@@ -109,6 +1083,13 @@ class CsvPanel {
 
     columnList.innerHTML = "";
     columnList.classList.remove("hidden");
+    const preferred = this.state.columnPreferences[this.state.formatId] ?? [];
+    const preferredFields = activeFields.filter(
+      (field) => field.headerName && preferred.includes(field.canonical)
+    );
+    const defaultFields = preferredFields.length
+      ? preferredFields
+      : defaultSelectedFields(activeFields);
 
     for (const field of activeFields) {
       const wrapper = document.createElement("label");
@@ -120,8 +1101,9 @@ class CsvPanel {
       checkbox.dataset.field = field.canonical;
       const hasHeader = Boolean(field.headerName);
       checkbox.disabled = !hasHeader;
-      checkbox.checked = hasHeader && DEFAULT_COLUMNS.has(field.canonical);
+      checkbox.checked = defaultFields.includes(field);
       checkbox.addEventListener("change", () => {
+        this.rememberColumns();
         this.updateResults();
       });
 
@@ -136,6 +1118,22 @@ class CsvPanel {
     }
   }
 
+  rememberColumns() {
+    const { formatId } = this.state;
+    const columns = this.getSelectedFields().map(({ canonical }) => canonical);
+    if (formatId && typeof this.onColumnsChange === "function") {
+      this.onColumnsChange(formatId, columns);
+    }
+  }
+
+  setColumnPreferences(preferences) {
+    this.state.columnPreferences = preferences;
+  }
+
+  getAvailableFields() {
+    return this.state.activeFields.filter((field) => Boolean(field.headerName));
+  }
+
   getSelectedFields() {
     const selected = [];
     const { activeFields } = this.state;
@@ -164,6 +1162,8 @@ class CsvPanel {
   }
 
   setLoadedStatus(fileName, entryCount, note = "") {
+    this.state.loadedStatus = [fileName, entryCount, note];
+    this.state.hashFailed = false;
     const statusEl = this.elements.status;
     statusEl.style.color = "#52606d";
     statusEl.innerHTML = "";
@@ -212,7 +1212,7 @@ class CsvPanel {
     ["dragenter", "dragover"].forEach((eventName) => {
       dropZone.addEventListener(eventName, () => {
         dropZone.classList.add("drag-over");
-        this.setStatus("Drop the CSV to load it.");
+        this.setStatus("Drop the export to load it.");
       });
     });
 
@@ -220,7 +1220,7 @@ class CsvPanel {
       dropZone.addEventListener(eventName, () => {
         dropZone.classList.remove("drag-over");
         if (!this.state.parsedEntries.length) {
-          this.setStatus("Waiting for a CSV file…");
+          this.setStatus("Waiting for an export file…");
         }
       });
     });
@@ -238,19 +1238,34 @@ class CsvPanel {
 
   resetData() {
     this.state.computationVersion += 1;
+    this.pipeline.cancel();
+    this.hideProgress();
     this.state.parsedHeaders = [];
     this.state.parsedEntries = [];
+    this.state.fileName = "";
+    this.state.sourceLabel = "";
+    this.state.formatId = "";
+    this.state.snapshot = null;
     this.state.activeFields = [];
+    this.state.dialect = null;
+    this.state.diagnostics = [];
+    this.renderFormatPicker(null);
+    this.renderDialectPicker();
+    this.renderDiagnostics();
     this.elements.columnList.innerHTML = "";
     this.elements.columnList.classList.add("hidden");
     this.renderMerkleTree(null);
     this.state.latestHashes = [];
+    this.state.latestRecords = [];
+    this.state.latestColumns = [];
     this.notifyChange();
   }
 
   async updateResults() {
     if (!this.state.parsedEntries.length) {
       this.state.latestHashes = [];
+      this.state.latestRecords = [];
+      this.state.latestColumns = [];
       this.renderMerkleTree(null);
       this.notifyChange();
       return;
@@ -262,59 +1277,69 @@ class CsvPanel {
 
     if (!selectedFields.length) {
       this.state.latestHashes = [];
+      this.state.latestRecords = [];
+      this.state.latestColumns = [];
       this.renderMerkleTree(null);
       this.notifyChange();
       return;
     }
 
-    const hashes = [];
-    const titleField = this.state.activeFields.find(
-      (field) => field.canonical === "title" && field.headerName
-    );
-
-    for (const entry of this.state.parsedEntries) {
-      if (runId !== this.state.computationVersion) {
-        return;
-      }
-
-      const normalized = normalizeEntry(entry, selectedFields);
-      const hashInput = buildHashInput(normalized, selectedCanonical);
-      const merkleHash = await sha256Hex(hashInput);
-
-      if (runId !== this.state.computationVersion) {
-        return;
-      }
-
-      const canonicalJson = canonicalizeEntry(entry, selectedFields);
-      const canonicalHash = await sha256Hex(canonicalJson);
-
-      if (runId !== this.state.computationVersion) {
-        return;
+    this.state.pendingJob = "hash";
+    this.showProgress("Hashing entries…");
+    let dataset;
+    try {
+      dataset = await this.pipeline.run(
+        "hash",
+        {
+          entries: this.state.parsedEntries,
+          activeFields: this.state.activeFields,
+          selectedFields,
+          settings: this.state.hashSettings,
+        },
+        (progress) => {
+          if (runId === this.state.computationVersion) {
+            this.showProgress(describeProgress(progress), progress);
+          }
+        }
+      );
+    } catch (error) {
+      console.error(error);
+      if (runId === this.state.computationVersion) {
+        this.hideProgress();
+        this.setStatus(
+          error instanceof ExportParseError
+            ? error.message
+            : "Something went wrong while hashing the entries.",
+          true
+        );
+        this.state.hashFailed = true;
+        this.state.latestHashes = [];
+        this.state.latestRecords = [];
+        this.renderMerkleTree(null);
+        this.notifyChange();
       }
-
-      const titleValue = titleField
-        ? normalizeText(entry[titleField.headerName])
-        : "";
-
-      hashes.push({ merkleHash, canonicalHash, title: titleValue });
-    }
-
-    if (runId !== this.state.computationVersion) {
       return;
     }
-
-    hashes.sort((a, b) => a.canonicalHash.localeCompare(b.canonicalHash));
-
-    const leafNodes = hashes.map(({ merkleHash, title }) => ({
-      hash: merkleHash,
-      title,
-    }));
-
-    const merkleData = await buildMerkleTree(leafNodes);
-    if (runId !== this.state.computationVersion) {
+    if (runId !== this.state.computationVersion || !dataset) {
       return;
     }
+    this.hideProgress();
+    if (this.state.hashFailed) {
+      this.setLoadedStatus(...this.state.loadedStatus);
+    }
+
+    const {
+      leaves: leafNodes,
+      records,
+      tree: merkleData,
+      contentRoot,
+      recipe,
+    } = dataset;
+    this.state.currentContentRoot = contentRoot ?? "";
     this.state.latestHashes = leafNodes;
+    this.state.latestRecords = records;
+    this.state.latestColumns = selectedCanonical;
+    this.state.currentRecipe = recipe;
     this.renderMerkleTree(merkleData);
     this.notifyChange();
   }
@@ -327,7 +1352,15 @@ class CsvPanel {
       },
       {
         button: this.elements.copyFullButton,
-        source: () => this.state.currentRootHash,
+        source: () =>
+          this.state.currentRootHash &&
+          `${this.state.currentRootHash} ${this.state.currentRecipe}`,
+      },
+      {
+        button: this.elements.copyLeavesButton,
+        source: async () =>
+          this.state.currentRootHash &&
+          JSON.stringify(await this.buildSnapshot()),
       },
     ];
 
@@ -337,12 +1370,12 @@ class CsvPanel {
       }
       button.dataset.defaultLabel = button.textContent;
       button.addEventListener("click", async () => {
-        const value = source();
-        if (!value) {
-          return;
-        }
         const defaultLabel = button.dataset.defaultLabel || button.textContent;
         try {
+          const value = await source();
+          if (!value) {
+            return;
+          }
           await copyTextToClipboard(value);
           button.textContent = "Copied!";
           button.disabled = true;
@@ -352,50 +1385,88 @@ class CsvPanel {
           }, 1500);
         } catch (error) {
           console.error(error);
-          this.setStatus("Unable to copy hash. Please try manually.", true);
+          this.setStatus("Unable to copy that value. Please try again.", true);
         }
       });
     });
   }
 
   resetCopyButtons() {
-    [this.elements.copyPrefixButton, this.elements.copyFullButton].forEach(
-      (button) => {
-        if (button) {
-          const defaultLabel = button.dataset.defaultLabel || button.textContent;
-          button.textContent = defaultLabel;
-          button.disabled = false;
-        }
+    [
+      this.elements.copyPrefixButton,
+      this.elements.copyFullButton,
+      this.elements.copyLeavesButton,
+    ].forEach((button) => {
+      if (button) {
+        const defaultLabel = button.dataset.defaultLabel || button.textContent;
+        button.textContent = defaultLabel;
+        button.disabled = false;
       }
-    );
+    });
   }
 
   setupClearButton() {
     this.elements.clearButton.addEventListener("click", () => {
       this.clearAll();
     });
+    this.elements.forgetButton?.addEventListener("click", () => {
+      if (typeof this.onForget === "function") {
+        this.onForget();
+      }
+    });
   }
 
   clearAll() {
     this.elements.fileInput.value = "";
+    this.state.file = null;
+    this.state.delimiterOverride = "auto";
+    this.state.encodingOverride = "auto";
     this.resetData();
-    this.setStatus("Waiting for a CSV file…");
+    this.setStatus("Waiting for an export file…");
+  }
+
+  destroy() {
+    this.onDataChange = null;
+    this.clearAll();
+    this.pipeline.dispose();
+    this.root.remove();
   }
 
   renderMerkleTree(treeData) {
-    const { merkleTree, merkleControls, rootHashText, merkleLevels } =
-      this.elements;
+    const {
+      merkleTree,
+      merkleControls,
+      rootHashText,
+      rootRecipe,
+      contentRoot,
+      merkleLevels,
+    } = this.elements;
+    const isNewTree = treeData !== this.state.lastMerkleData;
     this.state.lastMerkleData = treeData;
 
     if (!treeData) {
       merkleTree.classList.add("hidden");
       merkleControls.classList.add("hidden");
       rootHashText.textContent = "";
+      if (rootRecipe) {
+        rootRecipe.textContent = "";
+      }
+      if (contentRoot) {
+        contentRoot.textContent = "";
+      }
       merkleLevels.innerHTML = "";
       this.resetCopyButtons();
       this.state.currentRootPrefix = "";
       this.state.currentRootHash = "";
+      this.state.currentContentRoot = "";
+      this.state.currentRecipe = "";
       this.state.highlightedHashes = new Set();
+      this.state.highlightedNodes = new Set();
+      this.state.mergeCategories = new Map();
+      this.renderJumpControl();
+      this.renderActiveFilters();
+      this.renderDuplicates(false);
+      this.renderAudit(false);
       return;
     }
 
@@ -406,374 +1477,4595 @@ class CsvPanel {
     const prefix = root.slice(0, 7);
     const remainder = root.slice(7);
     rootHashText.innerHTML = `<span class="root-prefix">${prefix}</span>${remainder}`;
+    if (rootRecipe) {
+      rootRecipe.textContent = this.state.currentRecipe;
+    }
+    if (contentRoot) {
+      contentRoot.textContent =
+        this.state.currentContentRoot && this.state.currentContentRoot !== root
+          ? `Content only: ${this.state.currentContentRoot}`
+          : "";
+    }
 
     this.state.currentRootPrefix = prefix;
     this.state.currentRootHash = root;
-    this.resetCopyButtons();
-
-    merkleLevels.innerHTML = "";
-    const orderedLevels = [...levels].map((level) => [...level]).reverse();
-    const highlightSet =
-      this.state.highlightedHashes instanceof Set
-        ? this.state.highlightedHashes
-        : new Set();
-
-    orderedLevels.forEach((levelNodes, index) => {
-      const realLevelIndex = levels.length - 1 - index;
-
-      const levelEl = document.createElement("div");
-      levelEl.className = "merkle-level";
-
-      const label = document.createElement("div");
-      label.className = "level-label";
-      if (realLevelIndex === levels.length - 1) {
-        label.textContent = "Root";
-      } else if (realLevelIndex === 0) {
-        label.textContent = "Entries";
-      } else {
-        label.textContent = `Level ${realLevelIndex}`;
-      }
-
-      const nodesWrapper = document.createElement("div");
-      nodesWrapper.className = "merkle-nodes";
 
-      levelNodes.forEach((node) => {
-        const nodeEl = document.createElement("div");
-        nodeEl.className = "merkle-node";
-        if (node.isDuplicate) {
-          nodeEl.classList.add("duplicate");
-        }
+    if (isNewTree) {
+      this.resetCopyButtons();
+      this.resetTreeView(levels);
+      this.renderActiveFilters();
+      this.renderDuplicates();
+      this.renderAudit();
+    }
+    this.renderLevels();
+    this.renderJumpControl();
+  }
 
-        const hashValue = node.hash || "";
-        const isDiff =
-          realLevelIndex === 0 &&
-          !node.isDuplicate &&
-          highlightSet.has(hashValue);
-        if (isDiff) {
-          nodeEl.classList.add("diff");
-        }
+  renderActiveFilters() {
+    const { activeFilters } = this.elements;
+    if (!activeFilters) {
+      return;
+    }
+    const settings = this.state.currentRecipe
+      ? parseHashRecipe(this.state.currentRecipe, { allowOlder: true })
+      : DEFAULT_HASH_SETTINGS;
+    const rules = [
+      ...settings.rowFilters.map(describeRowFilter),
+      ...settings.transforms.map(describeTransform),
+    ];
+    activeFilters.classList.toggle("hidden", !rules.length);
+    if (!rules.length) {
+      activeFilters.textContent = "";
+      return;
+    }
+    const counts =
+      settings.rowFilters.length && !this.state.snapshot
+        ? ` ${this.getHashes().length.toLocaleString()} of ${formatEntryCount(
+            this.state.parsedEntries.length
+          )} hashed.`
+        : "";
+    activeFilters.textContent = `Filters: ${rules.join("; ")}.${counts}`;
+  }
 
-        if (node.title) {
-          const titleEl = document.createElement("span");
-          titleEl.className = "node-title";
-          titleEl.textContent = `Title: ${node.title}`;
-          nodeEl.appendChild(titleEl);
-        }
+  renderDuplicates(hasTree = true) {
+    const { duplicates, duplicatesSummary, duplicatesBody } = this.elements;
+    if (!duplicates || !duplicatesSummary || !duplicatesBody) {
+      return;
+    }
+    duplicatesBody.innerHTML = "";
+    const { exact, near } = hasTree
+      ? findDuplicateGroups(this.getHashes(), this.getRecords())
+      : { exact: [], near: [] };
+    duplicates.classList.toggle("hidden", !exact.length && !near.length);
+    if (!exact.length && !near.length) {
+      duplicatesSummary.textContent = "";
+      return;
+    }
+
+    const extraCopies = exact.reduce((sum, group) => sum + group.count - 1, 0);
+    const parts = [];
+    if (exact.length) {
+      parts.push(
+        `${extraCopies.toLocaleString()} exact ${
+          extraCopies === 1 ? "copy" : "copies"
+        }`
+      );
+    }
+    if (near.length) {
+      parts.push(
+        `${near.length.toLocaleString()} near-duplicate ${
+          near.length === 1 ? "group" : "groups"
+        }`
+      );
+    }
+    duplicatesSummary.textContent = `Duplicates: ${parts.join(", ")}`;
+
+    [
+      createListSection(
+        "Identical entries",
+        exact.map((group) => {
+          const label = this.state.snapshot
+            ? `Leaf ${group.hash.slice(0, 12)}…`
+            : describeEntry(group);
+          return `${label} — ${group.count} copies`;
+        })
+      ),
+      createListSection(
+        "Same title and username, different passwords",
+        near.map(
+          (group) =>
+            `${describeEntry(group)} — ${group.count} entries, ${
+              group.variants
+            } passwords`
+        )
+      ),
+    ]
+      .filter(Boolean)
+      .forEach((section) => duplicatesBody.appendChild(section));
+  }
 
-        const hashEl = document.createElement("code");
-        hashEl.textContent = node.hash;
-        nodeEl.appendChild(hashEl);
+  async renderAudit(hasTree = true) {
+    const { audit, auditSummary, auditBody, staleDaysInput } = this.elements;
+    if (!audit || !auditSummary || !auditBody) {
+      return;
+    }
+    const runId = ++this.state.auditVersion;
+    const records = hasTree ? this.getRecords() : [];
+    const auditable = records.some(
+      ({ values }) => "password" in values || "last modified" in values
+    );
+    audit.classList.toggle("hidden", !auditable);
+    if (!auditable) {
+      auditSummary.textContent = "";
+      auditBody.innerHTML = "";
+      return;
+    }
 
-        nodesWrapper.appendChild(nodeEl);
+    const staleDays = Number.parseInt(staleDaysInput?.value ?? "", 10);
+    let result;
+    try {
+      result = await auditPasswords(records, {
+        staleDays:
+          Number.isFinite(staleDays) && staleDays > 0
+            ? staleDays
+            : DEFAULT_STALE_DAYS,
       });
+    } catch (error) {
+      console.error(error);
+      result = null;
+    }
+    if (runId !== this.state.auditVersion) {
+      return;
+    }
+    if (!result) {
+      auditSummary.textContent = "Password audit: failed";
+      auditBody.innerHTML = "";
+      auditBody.appendChild(
+        createMessage("The password audit could not be completed.")
+      );
+      return;
+    }
+
+    const reusedEntries = result.reused.reduce(
+      (sum, group) => sum + group.entries.length,
+      0
+    );
+    auditSummary.textContent = `Password audit: ${reusedEntries.toLocaleString()} reused, ${result.weak.length.toLocaleString()} weak, ${result.stale.length.toLocaleString()} stale`;
+
+    auditBody.innerHTML = "";
+    [
+      createListSection(
+        "Reused passwords",
+        result.reused.map(
+          ({ entries }) =>
+            `Shared by ${entries.length} entries: ${entries
+              .map(describeEntry)
+              .join(", ")}`
+        )
+      ),
+      createListSection(
+        "Weak passwords",
+        result.weak.map(
+          (entry) =>
+            `${describeEntry(entry)} — about ${entry.bits} bits${
+              entry.reasons.length ? ` (${entry.reasons.join(", ")})` : ""
+            }`
+        )
+      ),
+      createListSection(
+        `Not modified in over ${result.staleDays.toLocaleString()} days`,
+        result.stale.map(
+          (entry) =>
+            `${describeEntry(entry)} — ${entry.modified.slice(0, 10)} (${
+              entry.ageDays
+            } days ago)`
+        )
+      ),
+      result.undated
+        ? createMessage(
+            `${result.undated.toLocaleString()} ${
+              result.undated === 1 ? "entry has" : "entries have"
+            } no last-modified date.`
+          )
+        : null,
+    ]
+      .filter(Boolean)
+      .forEach((section) => auditBody.appendChild(section));
+    if (!auditBody.childElementCount) {
+      auditBody.appendChild(createMessage("No issues found."));
+    }
+  }
 
-      levelEl.appendChild(label);
-      levelEl.appendChild(nodesWrapper);
-      merkleLevels.appendChild(levelEl);
+  resetTreeView(levels) {
+    const totalNodes = levels.reduce((sum, level) => sum + level.length, 0);
+    const expandedLevels = new Set();
+    levels.forEach((level, index) => {
+      if (
+        totalNodes <= SMALL_TREE_NODES ||
+        index >= levels.length - DEFAULT_EXPANDED_LEVELS
+      ) {
+        expandedLevels.add(index);
+      }
     });
+    this.state.expandedLevels = expandedLevels;
+    this.state.levelPages = new Map();
+    this.state.diffCursor = -1;
   }
 
-  setChangeHandler(handler) {
-    this.onDataChange = handler;
+  renderLevels() {
+    const { merkleLevels } = this.elements;
+    const { levels } = this.state.lastMerkleData;
+    merkleLevels.innerHTML = "";
+
+    for (let index = levels.length - 1; index >= 0; index -= 1) {
+      merkleLevels.appendChild(this.createLevelElement(levels, index));
+    }
   }
 
-  notifyChange() {
-    if (typeof this.onDataChange === "function") {
-      this.onDataChange(this);
+  createLevelElement(levels, levelIndex) {
+    const levelNodes = levels[levelIndex];
+    const isExpanded = this.state.expandedLevels.has(levelIndex);
+
+    const levelEl = document.createElement("div");
+    levelEl.className = "merkle-level";
+    levelEl.dataset.level = String(levelIndex);
+
+    const label = document.createElement("button");
+    label.type = "button";
+    label.className = "level-label";
+    label.setAttribute("aria-expanded", String(isExpanded));
+    let name = `Level ${levelIndex}`;
+    if (levelIndex === levels.length - 1) {
+      name = "Root";
+    } else if (levelIndex === 0) {
+      name = "Entries";
+    }
+    label.textContent = `${
+      isExpanded ? "▾" : "▸"
+    } ${name} (${levelNodes.length.toLocaleString()})`;
+    label.addEventListener("click", () => {
+      this.toggleLevel(levelIndex);
+    });
+    levelEl.appendChild(label);
+
+    if (!isExpanded) {
+      return levelEl;
+    }
+
+    const pageCount = Math.ceil(levelNodes.length / NODES_PER_PAGE);
+    const page = Math.min(
+      this.state.levelPages.get(levelIndex) ?? 0,
+      pageCount - 1
+    );
+    const start = page * NODES_PER_PAGE;
+    const end = Math.min(start + NODES_PER_PAGE, levelNodes.length);
+
+    const nodesWrapper = document.createElement("div");
+    nodesWrapper.className = "merkle-nodes";
+    for (let nodeIndex = start; nodeIndex < end; nodeIndex += 1) {
+      nodesWrapper.appendChild(
+        this.createNodeElement(levelNodes[nodeIndex], levelIndex, nodeIndex)
+      );
+    }
+    levelEl.appendChild(nodesWrapper);
+
+    if (pageCount > 1) {
+      levelEl.appendChild(
+        this.createPager(
+          levelIndex,
+          page,
+          pageCount,
+          start,
+          end,
+          levelNodes.length
+        )
+      );
     }
+    return levelEl;
   }
 
-  getHashes() {
-    return this.state.latestHashes || [];
+  createPager(levelIndex, page, pageCount, start, end, total) {
+    const pager = document.createElement("div");
+    pager.className = "level-pager";
+
+    const previous = document.createElement("button");
+    previous.type = "button";
+    previous.className = "copy-button";
+    previous.textContent = "‹ Prev";
+    previous.disabled = page === 0;
+    previous.addEventListener("click", () => {
+      this.showLevelPage(levelIndex, page - 1);
+    });
+
+    const range = document.createElement("span");
+    range.textContent = `${(
+      start + 1
+    ).toLocaleString()}–${end.toLocaleString()} of ${total.toLocaleString()}`;
+
+    const next = document.createElement("button");
+    next.type = "button";
+    next.className = "copy-button";
+    next.textContent = "Next ›";
+    next.disabled = page >= pageCount - 1;
+    next.addEventListener("click", () => {
+      this.showLevelPage(levelIndex, page + 1);
+    });
+
+    pager.appendChild(previous);
+    pager.appendChild(range);
+    pager.appendChild(next);
+    return pager;
   }
 
-  getRootHash() {
-    return this.state.currentRootHash || "";
+  createNodeElement(node, levelIndex, nodeIndex) {
+    const nodeEl = document.createElement("div");
+    nodeEl.className = "merkle-node";
+    nodeEl.dataset.index = String(nodeIndex);
+    if (node.isDuplicate) {
+      nodeEl.classList.add("duplicate");
+    } else if (levelIndex === 0) {
+      nodeEl.classList.add("provable");
+      nodeEl.title = "Click to export an inclusion proof for this entry";
+      nodeEl.addEventListener("click", () => {
+        this.exportInclusionProof(nodeIndex);
+      });
+    }
+
+    if (node.isPromoted) {
+      nodeEl.classList.add("promoted");
+      nodeEl.title = "Carried up unchanged from the level below";
+    }
+
+    if (this.isHighlighted(node, levelIndex, nodeIndex)) {
+      nodeEl.classList.add("diff");
+    }
+
+    const category = this.state.mergeCategories.get(
+      nodeKey(levelIndex, nodeIndex)
+    );
+    if (category) {
+      nodeEl.classList.add(`merge-${category}`);
+      const flagEl = document.createElement("span");
+      flagEl.className = "node-flag";
+      flagEl.textContent = MERGE_CATEGORIES[category];
+      nodeEl.appendChild(flagEl);
+    }
+
+    const breachCount =
+      levelIndex === 0 && !node.isDuplicate
+        ? this.state.breachedHashes.get(node.hash)
+        : undefined;
+    if (breachCount) {
+      nodeEl.classList.add("breached");
+      const flagEl = document.createElement("span");
+      flagEl.className = "node-flag";
+      flagEl.textContent = `Breached password · seen ${breachCount.toLocaleString()} times`;
+      nodeEl.appendChild(flagEl);
+    }
+
+    if (node.title) {
+      const titleEl = document.createElement("span");
+      titleEl.className = "node-title";
+      titleEl.textContent = `Title: ${node.title}`;
+      nodeEl.appendChild(titleEl);
+    }
+
+    const hashEl = document.createElement("code");
+    hashEl.textContent = node.hash;
+    nodeEl.appendChild(hashEl);
+    return nodeEl;
   }
 
-  setDifferences(hashSet = new Set()) {
-    this.state.highlightedHashes =
-      hashSet instanceof Set ? new Set(hashSet) : new Set();
-    if (this.state.lastMerkleData) {
-      this.renderMerkleTree(this.state.lastMerkleData);
+  isHighlighted(node, levelIndex, nodeIndex) {
+    const { highlightedHashes, highlightedNodes, mergeCategories } = this.state;
+    const key = nodeKey(levelIndex, nodeIndex);
+    return (
+      (levelIndex === 0 &&
+        !node.isDuplicate &&
+        highlightedHashes.has(node.hash || "")) ||
+      highlightedNodes.has(key) ||
+      mergeCategories.has(key)
+    );
+  }
+
+  toggleLevel(levelIndex) {
+    const { expandedLevels } = this.state;
+    if (expandedLevels.has(levelIndex)) {
+      expandedLevels.delete(levelIndex);
+    } else {
+      expandedLevels.add(levelIndex);
     }
+    this.renderLevels();
   }
-}
 
-function buildActiveFields(headers) {
-  const canonicalHeaderMap = new Map();
-  headers.forEach((header) => {
-    const canonical = toCanonical(header);
-    if (!canonical || canonical === "group") {
+  showLevelPage(levelIndex, page) {
+    this.state.levelPages.set(levelIndex, page);
+    this.renderLevels();
+  }
+
+  getDifferingLeafIndexes() {
+    const leaves = this.state.lastMerkleData?.levels[0] ?? [];
+    const indexes = [];
+    leaves.forEach((node, index) => {
+      if (this.isHighlighted(node, 0, index)) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }
+
+  renderJumpControl() {
+    const { jumpButton } = this.elements;
+    if (!jumpButton) {
       return;
     }
-    if (!canonicalHeaderMap.has(canonical)) {
-      canonicalHeaderMap.set(canonical, header);
+    const count = this.state.lastMerkleData
+      ? this.getDifferingLeafIndexes().length
+      : 0;
+    jumpButton.classList.toggle("hidden", !count);
+    jumpButton.textContent =
+      count === 1 ? "Jump to difference" : `Jump to differences (${count})`;
+  }
+
+  jumpToNextDifference() {
+    const indexes = this.getDifferingLeafIndexes();
+    if (!indexes.length) {
+      return;
     }
-  });
 
-  const baseFields = FIELD_CONFIG.map((field) => {
-    const headerName = canonicalHeaderMap.get(field.canonical) ?? null;
-    canonicalHeaderMap.delete(field.canonical);
-    return { ...field, headerName };
-  });
+    const target =
+      indexes.find((index) => index > this.state.diffCursor) ?? indexes[0];
+    this.state.diffCursor = target;
+    this.state.expandedLevels.add(0);
+    this.state.levelPages.set(0, Math.floor(target / NODES_PER_PAGE));
+    this.renderLevels();
 
-  const additionalFields = Array.from(canonicalHeaderMap.entries())
-    .map(([canonical, headerName]) => ({
-      label: headerName,
-      canonical,
-      headerName,
-    }))
-    .sort((a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: "base" }));
+    const nodeEl = this.elements.merkleLevels.querySelector(
+      `.merkle-level[data-level="0"] .merkle-node[data-index="${target}"]`
+    );
+    if (nodeEl) {
+      nodeEl.classList.add("focused");
+      nodeEl.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+  }
 
-  return [...baseFields, ...additionalFields];
-}
+  exportInclusionProof(leafIndex) {
+    const treeData = this.state.lastMerkleData;
+    if (!treeData) {
+      return;
+    }
 
-function formatEntryCount(count) {
-  const numeric = Number(count);
-  const safeCount = Number.isFinite(numeric) ? Math.max(0, Math.floor(numeric)) : 0;
-  const label = safeCount === 1 ? "entry" : "entries";
-  return `${safeCount.toLocaleString()} ${label}`;
-}
+    try {
+      const proof = buildInclusionProof(treeData, leafIndex, {
+        columns: this.getHashedColumns(),
+        recipe: this.getRecipe(),
+      });
+      downloadFile(
+        `inclusion-proof-${proof.leaf.hash.slice(0, 7)}.json`,
+        JSON.stringify(proof, null, 2),
+        "application/json"
+      );
+    } catch (error) {
+      console.error(error);
+      this.setStatus(
+        "Unable to build an inclusion proof for that entry.",
+        true
+      );
+    }
+  }
 
-function normalizeEntry(entry, selectedFields) {
-  const normalized = {};
+  setChangeHandler(handler) {
+    this.onDataChange = handler;
+  }
 
-  for (const field of selectedFields) {
-    const canonical = field.canonical;
-    const rawValue = entry[field.headerName];
-    normalized[canonical] =
-      canonical === "last modified"
-        ? normalizeDate(rawValue)
-        : normalizeText(rawValue);
+  setColumnsHandler(handler) {
+    this.onColumnsChange = handler;
   }
 
-  return normalized;
-}
+  setForgetHandler(handler) {
+    this.onForget = handler;
+  }
 
-function canonicalizeEntry(entry, selectedFields) {
-  const canonicalObject = {};
-  const sortedFields = [...selectedFields].sort((a, b) =>
-    a.canonical.localeCompare(b.canonical)
-  );
+  setSnapshotSigner(signer) {
+    this.snapshotSigner = signer;
+  }
 
-  for (const field of sortedFields) {
-    if (!field.headerName) {
-      continue;
+  notifyChange() {
+    if (typeof this.onDataChange === "function") {
+      this.onDataChange(this);
     }
+  }
 
-    const canonical = field.canonical;
-    const rawValue = entry[field.headerName];
-    canonicalObject[canonical] =
-      canonical === "last modified"
-        ? normalizeDate(rawValue)
-        : normalizeText(rawValue);
+  getHashes() {
+    return this.state.latestHashes || [];
   }
 
-  return JSON.stringify(canonicalObject);
-}
+  getRootHash() {
+    return this.state.currentRootHash || "";
+  }
 
-function buildHashInput(normalizedEntry, selectedCanonical) {
-  if (!selectedCanonical || !selectedCanonical.length) {
-    return "";
+  getContentRoot() {
+    return this.state.currentContentRoot || "";
   }
 
-  return selectedCanonical.map((field) => normalizedEntry[field] ?? "").join("|");
-}
+  getRecords() {
+    return this.state.latestRecords || [];
+  }
 
-function normalizeText(value) {
-  if (value === null || value === undefined) {
-    return "";
+  getRecipe() {
+    return this.state.currentRecipe;
   }
-  const text = String(value).trim();
-  if (!text) {
-    return "";
+
+  getFileName() {
+    return this.state.fileName;
   }
-  return text.replace(/\s+/g, " ").normalize("NFC");
-}
 
-function normalizeDate(value) {
-  const normalizedText = normalizeText(value);
-  if (!normalizedText) {
-    return "";
+  getSource() {
+    return this.state.file ?? this.state.snapshot;
   }
 
-  const parsedDate = parseFlexibleDate(normalizedText);
-  if (!parsedDate) {
-    return "";
+  getAlgorithm() {
+    return this.state.lastMerkleData?.algorithm ?? null;
   }
 
-  return formatUtcIso(parsedDate);
-}
+  getKeyId() {
+    return this.state.currentRecipe
+      ? parseHashRecipe(this.state.currentRecipe, { allowOlder: true }).keyId
+      : null;
+  }
 
-function parseFlexibleDate(value) {
-  const isoMatch = value.match(
-    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?(?: ?(Z|[+-]\d{2}:\d{2}))?$/i
-  );
+  setHashSettings(settings) {
+    this.state.hashSettings = settings;
+    if (this.state.parsedEntries.length) {
+      this.updateResults();
+    }
+  }
 
-  if (isoMatch) {
-    const [, year, month, day, hour, minute, second, millisecond, zone] =
-      isoMatch;
-    const ms = millisecond ? millisecond.padEnd(3, "0").slice(0, 3) : "000";
-    const baseTime = [hour ?? "00", minute ?? "00", second ?? "00"].map(
-      (segment) => segment.padStart(2, "0")
+  getLabel() {
+    return (
+      this.root.querySelector("h1")?.textContent.trim() ||
+      this.root.getAttribute("data-panel") ||
+      ""
     );
-    const core = `${year}-${month}-${day}T${baseTime.join(":")}.${
-      ms || "000"
-    }`;
+  }
 
-    if (zone) {
-      const isoString = `${core}${zone === "Z" ? "Z" : zone}`;
-      const offsetDate = new Date(isoString);
-      if (!Number.isNaN(offsetDate.getTime())) {
-        return offsetDate;
-      }
-    } else {
-      const localDate = new Date(
-        Number(year),
-        Number(month) - 1,
-        Number(day),
-        Number(hour ?? 0),
-        Number(minute ?? 0),
-        Number(second ?? 0),
-        Number(ms)
-      );
-      if (!Number.isNaN(localDate.getTime())) {
-        return localDate;
-      }
+  setBreached(entries = []) {
+    this.state.breachedHashes = new Map(
+      entries.map(({ hash, count }) => [hash, count])
+    );
+    if (this.state.lastMerkleData) {
+      this.renderLevels();
     }
   }
 
-  const fallbackTimestamp = Date.parse(value);
-  if (!Number.isNaN(fallbackTimestamp)) {
-    return new Date(fallbackTimestamp);
+  getHashedColumns() {
+    return this.state.latestColumns || [];
   }
 
-  return null;
-}
+  getMerkleLevels() {
+    return this.state.lastMerkleData?.levels ?? [];
+  }
 
-function formatUtcIso(date) {
-  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  setDifferences(
+    hashSet = new Set(),
+    nodeKeys = new Set(),
+    categories = new Map()
+  ) {
+    this.state.highlightedHashes =
+      hashSet instanceof Set ? new Set(hashSet) : new Set();
+    this.state.highlightedNodes =
+      nodeKeys instanceof Set ? new Set(nodeKeys) : new Set();
+    this.state.mergeCategories =
+      categories instanceof Map ? new Map(categories) : new Map();
+    if (this.state.lastMerkleData) {
+      this.renderMerkleTree(this.state.lastMerkleData);
+    }
+  }
 }
 
-function toCanonical(value) {
-  return (value || "").trim().toLowerCase();
-}
+const DEFAULT_MATCH_KEY = ["title", "username"];
+const MASKED_VALUE = "••••••••";
 
-async function sha256Hex(text) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(text);
-  const digest = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(digest))
-    .map((byte) => byte.toString(16).padStart(2, "0"))
-    .join("");
-}
+class ComparisonReport {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      keyOptions: root.querySelector('[data-role="key-options"]'),
+      revealToggle: root.querySelector('[data-role="reveal-passwords"]'),
+      summary: root.querySelector('[data-role="summary"]'),
+      body: root.querySelector('[data-role="body"]'),
+    };
 
-async function buildMerkleTree(leaves) {
-  if (!leaves.length) {
-    return null;
+    this.state = {
+      keyFields: [...DEFAULT_MATCH_KEY],
+      revealPasswords: false,
+      fieldLabels: new Map(),
+      leftRecords: [],
+      rightRecords: [],
+      compareFields: [],
+    };
+    this.onKeyChange = null;
+
+    this.elements.revealToggle?.addEventListener("change", () => {
+      this.state.revealPasswords = this.elements.revealToggle.checked;
+      this.render();
+    });
   }
 
-  let currentLevel = leaves.map((leaf) => ({
-    hash: leaf.hash,
-    title: leaf.title,
-    isDuplicate: false,
-  }));
+  setKeyChangeHandler(handler) {
+    this.onKeyChange = handler;
+  }
 
-  const levels = [];
+  getKeyFields() {
+    return this.state.keyFields;
+  }
 
-  while (true) {
-    const workingLevel = currentLevel.map((node) => ({ ...node }));
-    if (workingLevel.length > 1 && workingLevel.length % 2 === 1) {
-      const last = workingLevel[workingLevel.length - 1];
-      workingLevel.push({
-        hash: last.hash,
-        title: last.title,
-        isDuplicate: true,
+  hide() {
+    this.root.classList.add("hidden");
+    this.elements.summary.innerHTML = "";
+    this.elements.body.innerHTML = "";
+  }
+
+  update(leftController, rightController) {
+    const leftRecords = leftController.getRecords();
+    const rightRecords = rightController.getRecords();
+    if (!leftRecords.length || !rightRecords.length) {
+      this.hide();
+      return;
+    }
+
+    const fieldLabels = new Map();
+    const rightAvailable = new Set(
+      rightController.getAvailableFields().map((field) => field.canonical)
+    );
+    leftController.getAvailableFields().forEach((field) => {
+      if (rightAvailable.has(field.canonical)) {
+        fieldLabels.set(field.canonical, field.label);
+      }
+    });
+
+    const rightColumns = new Set(rightController.getHashedColumns());
+    const compareFields = leftController
+      .getHashedColumns()
+      .filter((canonical) => rightColumns.has(canonical));
+
+    this.state.fieldLabels = fieldLabels;
+    this.state.leftRecords = leftRecords;
+    this.state.rightRecords = rightRecords;
+    this.state.compareFields = compareFields;
+    this.state.keyFields = this.state.keyFields.filter((canonical) =>
+      fieldLabels.has(canonical)
+    );
+    if (!this.state.keyFields.length) {
+      this.state.keyFields = DEFAULT_MATCH_KEY.filter((canonical) =>
+        fieldLabels.has(canonical)
+      );
+    }
+
+    this.root.classList.remove("hidden");
+    this.renderKeyOptions();
+    this.render();
+  }
+
+  renderKeyOptions() {
+    const { keyOptions } = this.elements;
+    const { fieldLabels, keyFields } = this.state;
+    keyOptions.innerHTML = "";
+
+    fieldLabels.forEach((label, canonical) => {
+      const wrapper = document.createElement("label");
+      wrapper.className = "key-option";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.dataset.field = canonical;
+      checkbox.checked = keyFields.includes(canonical);
+      checkbox.addEventListener("change", () => {
+        const selected = Array.from(
+          keyOptions.querySelectorAll('input[type="checkbox"]:checked')
+        ).map((input) => input.dataset.field);
+        this.state.keyFields = selected;
+        this.render();
+        if (typeof this.onKeyChange === "function") {
+          this.onKeyChange(selected);
+        }
       });
+
+      const text = document.createElement("span");
+      text.textContent = label;
+
+      wrapper.appendChild(checkbox);
+      wrapper.appendChild(text);
+      keyOptions.appendChild(wrapper);
+    });
+  }
+
+  render() {
+    const { summary, body } = this.elements;
+    const { leftRecords, rightRecords, keyFields, compareFields } = this.state;
+    summary.innerHTML = "";
+    body.innerHTML = "";
+
+    if (!keyFields.length) {
+      body.appendChild(
+        createMessage("Select at least one column to match entries by.")
+      );
+      return;
     }
 
-    levels.push(workingLevel);
+    const diff = buildFieldDiff(leftRecords, rightRecords, {
+      keyFields,
+      compareFields,
+    });
+
+    [
+      ["added", "Added", diff.added.length],
+      ["removed", "Removed", diff.removed.length],
+      ["modified", "Modified", diff.modified.length],
+      ["unchanged", "Unchanged", diff.unchangedCount],
+    ].forEach(([kind, label, count]) => {
+      const pill = document.createElement("span");
+      pill.className = `report-pill ${kind}`;
+      pill.textContent = `${label}: ${count.toLocaleString()}`;
+      summary.appendChild(pill);
+    });
+
+    if (!diff.added.length && !diff.removed.length && !diff.modified.length) {
+      body.appendChild(
+        createMessage(
+          "Every matched entry has the same values in both datasets."
+        )
+      );
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "report-table";
+    const head = document.createElement("thead");
+    head.appendChild(
+      createRow(["Change", "Entry", "Column", "Dataset A", "Dataset B"], "th")
+    );
+    table.appendChild(head);
+
+    const tbody = document.createElement("tbody");
+    diff.removed.forEach((record) => {
+      tbody.appendChild(
+        this.createChangeRow("removed", "Only in A", record.values, null)
+      );
+    });
+    diff.added.forEach((record) => {
+      tbody.appendChild(
+        this.createChangeRow("added", "Only in B", record.values, null)
+      );
+    });
+    diff.modified.forEach(({ left, right, fields }) => {
+      fields.forEach((canonical, index) => {
+        tbody.appendChild(
+          this.createChangeRow(
+            "modified",
+            index === 0 ? "Modified" : "",
+            left.values,
+            {
+              canonical,
+              leftValue: left.values[canonical],
+              rightValue: right.values[canonical],
+            },
+            index > 0
+          )
+        );
+      });
+    });
+    table.appendChild(tbody);
+    body.appendChild(table);
+  }
+
+  createChangeRow(
+    kind,
+    changeLabel,
+    values,
+    fieldChange,
+    isContinuation = false
+  ) {
+    const keyText = isContinuation ? "" : this.formatKey(values);
+    const cells = fieldChange
+      ? [
+          changeLabel,
+          keyText,
+          this.state.fieldLabels.get(fieldChange.canonical) ??
+            fieldChange.canonical,
+          this.formatValue(fieldChange.canonical, fieldChange.leftValue),
+          this.formatValue(fieldChange.canonical, fieldChange.rightValue),
+        ]
+      : [
+          changeLabel,
+          keyText,
+          "—",
+          kind === "removed" ? "present" : "—",
+          kind === "added" ? "present" : "—",
+        ];
+    const row = createRow(cells, "td");
+    row.className = `report-row ${kind}`;
+    return row;
+  }
+
+  formatKey(values) {
+    const parts = this.state.keyFields.map((canonical) => {
+      const value = values[canonical] ?? "";
+      return canonical === "password"
+        ? this.formatValue(canonical, value)
+        : value || "(empty)";
+    });
+    return parts.join(" / ");
+  }
+
+  formatValue(canonical, value) {
+    if (value === undefined || value === null || value === "") {
+      return "(empty)";
+    }
+    if (canonical === "password" && !this.state.revealPasswords) {
+      return MASKED_VALUE;
+    }
+    return value;
+  }
+}
+
+class MergeReport {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      summary: root.querySelector('[data-role="summary"]'),
+      body: root.querySelector('[data-role="body"]'),
+    };
+  }
+
+  hide() {
+    this.root.classList.add("hidden");
+    this.elements.summary.innerHTML = "";
+    this.elements.body.innerHTML = "";
+  }
+
+  update(merge, keyFields) {
+    const { summary, body } = this.elements;
+    summary.innerHTML = "";
+    body.innerHTML = "";
+    this.root.classList.remove("hidden");
+
+    [
+      ["unchanged", "Unchanged", merge.counts.unchanged],
+      ...Object.entries(MERGE_CATEGORIES).map(([category, label]) => [
+        category,
+        label,
+        merge.counts[category],
+      ]),
+    ].forEach(([kind, label, count]) => {
+      const pill = document.createElement("span");
+      pill.className = `report-pill merge-${kind}`;
+      pill.textContent = `${label}: ${count.toLocaleString()}`;
+      summary.appendChild(pill);
+    });
+
+    if (!keyFields.length) {
+      body.appendChild(
+        createMessage(
+          "Hash-only datasets are compared leaf by leaf, so an edited entry counts as one removal and one addition and conflicts cannot be detected. Load exports in all three panels to pair entries."
+        )
+      );
+    }
+    if (!merge.changes.length) {
+      body.appendChild(
+        createMessage("Neither A nor B has changed since the base.")
+      );
+      return;
+    }
+
+    const describe = ({ values, hash }) =>
+      values
+        ? keyFields
+            .map((canonical) => values[canonical] || "(empty)")
+            .join(" / ")
+        : hash;
+    Object.entries(MERGE_CATEGORIES).forEach(([category, label]) => {
+      const section = createListSection(
+        label,
+        merge.changes
+          .filter((change) => change.category === category)
+          .map(describe)
+      );
+      if (section) {
+        body.appendChild(section);
+      }
+    });
+  }
+}
+
+class DriftReport {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      summary: root.querySelector('[data-role="summary"]'),
+      body: root.querySelector('[data-role="body"]'),
+    };
+  }
+
+  hide() {
+    this.root.classList.add("hidden");
+    this.elements.summary.innerHTML = "";
+    this.elements.body.innerHTML = "";
+  }
+
+  update(leftController, rightController, matchKey = DEFAULT_MATCH_KEY) {
+    const leftRecords = leftController.getRecords();
+    const rightRecords = rightController.getRecords();
+    const sharedFields = (canonicals) =>
+      canonicals.filter((canonical) =>
+        [leftController, rightController].every((panel) =>
+          panel
+            .getAvailableFields()
+            .some((field) => field.canonical === canonical)
+        )
+      );
+    const keyFields = sharedFields(matchKey);
+    if (
+      !leftRecords.length ||
+      !rightRecords.length ||
+      !keyFields.length ||
+      !sharedFields([DRIFT_FIELD]).length
+    ) {
+      this.hide();
+      return;
+    }
+
+    const rightColumns = new Set(rightController.getHashedColumns());
+    const drift = buildDriftReport(leftRecords, rightRecords, {
+      keyFields,
+      compareFields: leftController
+        .getHashedColumns()
+        .filter((canonical) => rightColumns.has(canonical)),
+    });
+    const labels = {
+      left: leftController.getLabel(),
+      right: rightController.getLabel(),
+    };
+
+    const { summary, body } = this.elements;
+    summary.innerHTML = "";
+    body.innerHTML = "";
+    this.root.classList.remove("hidden");
+
+    [
+      ["newer", `Newer in ${labels.left}`, drift.counts.newerLeft],
+      ["newer", `Newer in ${labels.right}`, drift.counts.newerRight],
+      ...Object.entries(DRIFT_CATEGORIES).map(([category, label]) => [
+        `drift-${category}`,
+        label,
+        drift.counts[category],
+      ]),
+    ].forEach(([kind, label, count]) => {
+      const pill = document.createElement("span");
+      pill.className = `report-pill ${kind}`;
+      pill.textContent = `${label}: ${count.toLocaleString()}`;
+      summary.appendChild(pill);
+    });
+
+    if (!drift.entries.length) {
+      body.appendChild(
+        createMessage("Every matched entry has the same timestamp and content.")
+      );
+      return;
+    }
+    body.appendChild(
+      createMessage(describeSyncDirection(drift.counts, labels))
+    );
+
+    const table = document.createElement("table");
+    table.className = "report-table";
+    const head = document.createElement("thead");
+    head.appendChild(
+      createRow(
+        [
+          "Entry",
+          "Drift",
+          "Newer",
+          `${labels.left} modified`,
+          `${labels.right} modified`,
+          "Content differs in",
+        ],
+        "th"
+      )
+    );
+    table.appendChild(head);
+
+    const fieldLabels = new Map(
+      leftController
+        .getAvailableFields()
+        .map((field) => [field.canonical, field.label])
+    );
+    const tbody = document.createElement("tbody");
+    drift.entries
+      .slice(0, REPORT_LIST_LIMIT)
+      .forEach(
+        ({ category, newer, values, leftModified, rightModified, fields }) => {
+          const row = createRow(
+            [
+              keyFields
+                .map((canonical) => values[canonical] || "(empty)")
+                .join(" / "),
+              DRIFT_CATEGORIES[category],
+              newer ? labels[newer] : "—",
+              leftModified || "(empty)",
+              rightModified || "(empty)",
+              fields
+                .map((canonical) => fieldLabels.get(canonical) ?? canonical)
+                .join(", ") || "—",
+            ],
+            "td"
+          );
+          row.className = `report-row drift-${category}`;
+          tbody.appendChild(row);
+        }
+      );
+    table.appendChild(tbody);
+    body.appendChild(table);
+    if (drift.entries.length > REPORT_LIST_LIMIT) {
+      body.appendChild(
+        createMessage(
+          `…and ${(
+            drift.entries.length - REPORT_LIST_LIMIT
+          ).toLocaleString()} more`
+        )
+      );
+    }
+  }
+}
+
+function describeSyncDirection(counts, labels) {
+  const { newerLeft, newerRight, undated } = counts;
+  let advice = "Neither dataset has a newer copy of any entry.";
+  if (newerLeft && newerRight) {
+    advice = `Both datasets hold newer copies, so syncing one way would lose updates in ${labels.left} or ${labels.right}.`;
+  } else if (newerLeft || newerRight) {
+    const [source, target] = newerLeft
+      ? [labels.left, labels.right]
+      : [labels.right, labels.left];
+    advice = `Sync from ${source}: it holds every newer copy, and ${target} has none.`;
+  }
+  if (!undated) {
+    return advice;
+  }
+  return `${advice} ${undated.toLocaleString()} changed ${
+    undated === 1 ? "entry has" : "entries have"
+  } no newer copy and must be checked by hand.`;
+}
+
+class PresenceMatrix {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      roots: root.querySelector('[data-role="roots"]'),
+      summary: root.querySelector('[data-role="summary"]'),
+      body: root.querySelector('[data-role="body"]'),
+    };
+  }
+
+  hide() {
+    this.root.classList.add("hidden");
+    this.elements.roots.innerHTML = "";
+    this.elements.summary.innerHTML = "";
+    this.elements.body.innerHTML = "";
+  }
+
+  update(panels, matchKey = DEFAULT_MATCH_KEY) {
+    const { roots, summary, body } = this.elements;
+    const loaded = panels.filter((panel) => panel.getRootHash());
+    roots.innerHTML = "";
+    summary.innerHTML = "";
+    body.innerHTML = "";
+    this.root.classList.remove("hidden");
+    if (!loaded.length) {
+      body.appendChild(createMessage("Load datasets to fill the matrix."));
+      return;
+    }
+
+    const rootItems = groupRoots(
+      loaded.map((panel) => ({
+        label: panel.getLabel(),
+        root: panel.getRootHash(),
+      }))
+    ).map(
+      ({ root, labels }) =>
+        `${root.slice(0, 12)}: ${labels.join(", ")}${
+          labels.length > 1 ? " (identical)" : ""
+        }`
+    );
+    roots.appendChild(createListSection("Roots", rootItems));
+
+    const setupOf = (panel) =>
+      `${panel.getRecipe()} ${panel.getHashedColumns().join(",")}`;
+    const reference = setupOf(loaded[0]);
+    const included = loaded.filter((panel) => setupOf(panel) === reference);
+    const excluded = loaded.filter((panel) => !included.includes(panel));
+    if (excluded.length) {
+      body.appendChild(
+        createMessage(
+          `Left out of the matrix because their hash recipe or columns differ from ${loaded[0].getLabel()}: ${excluded
+            .map((panel) => panel.getLabel())
+            .join(", ")}.`
+        )
+      );
+    }
+
+    const withRecords = included.every((panel) => panel.getRecords().length);
+    const keyFields = withRecords
+      ? matchKey.filter((canonical) =>
+          included.every((panel) =>
+            panel
+              .getAvailableFields()
+              .some((field) => field.canonical === canonical)
+          )
+        )
+      : [];
+    const matrix = buildPresenceMatrix(
+      included.map((panel) =>
+        withRecords ? panel.getRecords() : panel.getHashes()
+      ),
+      { keyFields }
+    );
+
+    [
+      ["unchanged", "Same everywhere", matrix.identicalCount],
+      ["modified", "Differs somewhere", matrix.rows.length],
+    ].forEach(([kind, label, count]) => {
+      const pill = document.createElement("span");
+      pill.className = `report-pill ${kind}`;
+      pill.textContent = `${label}: ${count.toLocaleString()}`;
+      summary.appendChild(pill);
+    });
+    if (!keyFields.length) {
+      body.appendChild(
+        createMessage(
+          "Hash-only datasets are matched leaf by leaf, so an edited entry shows up as two rows."
+        )
+      );
+    }
+    if (!matrix.rows.length) {
+      body.appendChild(
+        createMessage("Every entry is present and identical in each dataset.")
+      );
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "report-table";
+    const head = document.createElement("thead");
+    head.appendChild(
+      createRow(["Entry", ...included.map((panel) => panel.getLabel())], "th")
+    );
+    table.appendChild(head);
+
+    const tbody = document.createElement("tbody");
+    matrix.rows
+      .slice(0, REPORT_LIST_LIMIT)
+      .forEach(({ values, hash, cells }) => {
+        const row = createRow(
+          [
+            values
+              ? keyFields
+                  .map((canonical) => values[canonical] || "(empty)")
+                  .join(" / ")
+              : hash.slice(0, 16),
+            ...cells.map((cell) => PRESENCE_LABELS[cell]),
+          ],
+          "td"
+        );
+        cells.forEach((cell, index) => {
+          row.children[index + 1].className = `presence-${cell}`;
+        });
+        tbody.appendChild(row);
+      });
+    table.appendChild(tbody);
+    body.appendChild(table);
+    if (matrix.rows.length > REPORT_LIST_LIMIT) {
+      body.appendChild(
+        createMessage(
+          `…and ${(
+            matrix.rows.length - REPORT_LIST_LIMIT
+          ).toLocaleString()} more`
+        )
+      );
+    }
+  }
+}
+
+class ProofVerifier {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      proofInput: root.querySelector('[data-role="proof-input"]'),
+      rootInput: root.querySelector('[data-role="root-input"]'),
+      verifyButton: root.querySelector('[data-role="verify-proof"]'),
+      result: root.querySelector('[data-role="verify-result"]'),
+    };
+
+    this.elements.verifyButton.addEventListener("click", () => {
+      this.verify();
+    });
+  }
+
+  setResult(message, state) {
+    const { result } = this.elements;
+    result.textContent = message;
+    result.classList.remove("match", "mismatch");
+    if (state) {
+      result.classList.add(state);
+    }
+  }
+
+  async verify() {
+    const [file] = this.elements.proofInput.files ?? [];
+    const expectedRoot = this.elements.rootInput.value.trim().toLowerCase();
+
+    if (!file) {
+      this.setResult("Choose a proof file to verify.", "mismatch");
+      return;
+    }
+    if (!/^(?:[0-9a-f]{64}){1,2}$/.test(expectedRoot)) {
+      this.setResult(
+        "Enter the full 64- or 128-character root hash.",
+        "mismatch"
+      );
+      return;
+    }
+
+    try {
+      const proof = JSON.parse(await file.text());
+      const outcome = await verifyInclusionProof(proof, expectedRoot);
+      if (outcome.valid) {
+        this.setResult(
+          `Valid: entry ${proof.leaf.hash.slice(
+            0,
+            7
+          )} is included in root ${expectedRoot.slice(0, 7)}.`,
+          "match"
+        );
+      } else {
+        this.setResult(`Invalid: ${outcome.reason}`, "mismatch");
+      }
+    } catch (error) {
+      console.error(error);
+      this.setResult("Could not read that proof file.", "mismatch");
+    }
+  }
+}
+
+class HashSettingsPanel {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      whitespaceSelect: root.querySelector('[data-role="whitespace"]'),
+      precisionSelect: root.querySelector('[data-role="date-precision"]'),
+      timezoneSelect: root.querySelector('[data-role="timezone"]'),
+      schemeSelect: root.querySelector('[data-role="tree-scheme"]'),
+      algorithmSelect: root.querySelector('[data-role="hash-algorithm"]'),
+      caseFoldOptions: root.querySelector('[data-role="case-fold"]'),
+      urlOptions: root.querySelector('[data-role="url-rules"]'),
+      keyingSelect: root.querySelector('[data-role="leaf-keying"]'),
+      secretInput: root.querySelector('[data-role="leaf-secret"]'),
+      secretStatus: root.querySelector('[data-role="secret-status"]'),
+      filterMode: root.querySelector('[data-role="filter-mode"]'),
+      filterColumn: root.querySelector('[data-role="filter-column"]'),
+      filterOperator: root.querySelector('[data-role="filter-operator"]'),
+      filterValue: root.querySelector('[data-role="filter-value"]'),
+      addFilterButton: root.querySelector('[data-role="add-filter"]'),
+      transformColumn: root.querySelector('[data-role="transform-column"]'),
+      transformKind: root.querySelector('[data-role="transform-kind"]'),
+      addTransformButton: root.querySelector('[data-role="add-transform"]'),
+      ruleList: root.querySelector('[data-role="rule-list"]'),
+      recipeInput: root.querySelector('[data-role="recipe-input"]'),
+      applyRecipeButton: root.querySelector('[data-role="apply-recipe"]'),
+      recipeStatus: root.querySelector('[data-role="recipe-status"]'),
+    };
+    this.settings = DEFAULT_HASH_SETTINGS;
+    this.onChange = null;
+    this.expectedKeyId = "";
+    this.keyVersion = 0;
+
+    [
+      this.elements.whitespaceSelect,
+      this.elements.precisionSelect,
+      this.elements.timezoneSelect,
+      this.elements.schemeSelect,
+      this.elements.algorithmSelect,
+      this.elements.caseFoldOptions,
+      this.elements.urlOptions,
+    ].forEach((element) => {
+      element.addEventListener("change", () => {
+        this.setSettings(this.readSettings());
+      });
+    });
+    this.elements.keyingSelect.addEventListener("change", () => {
+      this.expectedKeyId = "";
+      this.updateKey();
+    });
+    this.elements.secretInput.addEventListener("change", () => {
+      this.updateKey();
+    });
+    this.elements.addFilterButton.addEventListener("click", () => {
+      this.addRowFilter();
+    });
+    this.elements.addTransformButton.addEventListener("click", () => {
+      this.addTransform();
+    });
+    this.elements.applyRecipeButton.addEventListener("click", () => {
+      this.applyRecipe(this.elements.recipeInput.value);
+    });
+    this.setSettings(DEFAULT_HASH_SETTINGS);
+  }
+
+  getSettings() {
+    return this.settings;
+  }
+
+  setChangeHandler(handler) {
+    this.onChange = handler;
+  }
+
+  readSettings() {
+    const checkedValues = (container) =>
+      Array.from(
+        container.querySelectorAll('input[type="checkbox"]:checked')
+      ).map((checkbox) => checkbox.value);
+    return {
+      whitespace: this.elements.whitespaceSelect.value,
+      caseFold: CASE_FOLD_COLUMNS.filter((canonical) =>
+        checkedValues(this.elements.caseFoldOptions).includes(canonical)
+      ),
+      url: URL_RULES.filter((rule) =>
+        checkedValues(this.elements.urlOptions).includes(rule)
+      ),
+      datePrecision: this.elements.precisionSelect.value,
+      timezone: this.elements.timezoneSelect.value,
+      scheme: this.elements.schemeSelect.value,
+      algorithm: this.elements.algorithmSelect.value,
+      keying: this.settings.keying,
+      keySalt: this.settings.keySalt,
+      keyId: this.settings.keyId,
+      key: this.settings.key,
+      rowFilters: this.settings.rowFilters,
+      transforms: this.settings.transforms,
+    };
+  }
+
+  addRowFilter() {
+    const rule = {
+      mode: this.elements.filterMode.value,
+      column: this.elements.filterColumn.value,
+      operator: this.elements.filterOperator.value,
+      value: this.elements.filterValue.value.trim(),
+    };
+    const problem = checkRowFilter(rule);
+    if (problem) {
+      this.setStatus(`Cannot add that filter: ${problem}`, true);
+      return;
+    }
+    this.elements.filterValue.value = "";
+    this.setSettings({
+      ...this.readSettings(),
+      rowFilters: [...this.settings.rowFilters, rule],
+    });
+  }
+
+  addTransform() {
+    const transform = {
+      column: this.elements.transformColumn.value,
+      transform: this.elements.transformKind.value,
+    };
+    this.setSettings({
+      ...this.readSettings(),
+      transforms: [...this.settings.transforms, transform],
+    });
+  }
+
+  renderRules() {
+    const { ruleList } = this.elements;
+    const { rowFilters, transforms } = this.settings;
+    ruleList.innerHTML = "";
+    ruleList.classList.toggle(
+      "hidden",
+      !rowFilters.length && !transforms.length
+    );
+
+    const addItem = (text, remove) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = text;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "clear-button";
+      button.textContent = "Remove";
+      button.addEventListener("click", () => {
+        this.setSettings({ ...this.readSettings(), ...remove() });
+      });
+      item.appendChild(label);
+      item.appendChild(button);
+      ruleList.appendChild(item);
+    };
+    rowFilters.forEach((rule, index) => {
+      addItem(describeRowFilter(rule), () => ({
+        rowFilters: rowFilters.filter((_rule, other) => other !== index),
+      }));
+    });
+    transforms.forEach((transform, index) => {
+      addItem(describeTransform(transform), () => ({
+        transforms: transforms.filter((_transform, other) => other !== index),
+      }));
+    });
+  }
+
+  async updateKey(
+    base = { ...this.readSettings(), keying: this.elements.keyingSelect.value }
+  ) {
+    const { keying } = base;
+    const secret = this.elements.secretInput.value;
+    const version = ++this.keyVersion;
+    if (keying === "none") {
+      this.expectedKeyId = "";
+      this.elements.secretInput.value = "";
+      this.setSettings({ ...base, keySalt: "", keyId: "", key: null });
+      return;
+    }
+    if (!secret) {
+      this.setSettings({ ...base, keyId: this.expectedKeyId, key: null });
+      return;
+    }
+
+    this.setSecretStatus("Deriving key…");
+    const derived = await deriveLeafKey(secret, keying, base.keySalt);
+    if (version !== this.keyVersion) {
+      return;
+    }
+    if (this.expectedKeyId && derived.keyId !== this.expectedKeyId) {
+      this.setSettings({ ...base, keyId: this.expectedKeyId, key: null });
+      this.setSecretStatus(
+        `This secret has key check ${derived.keyId}, but the recipe expects ${this.expectedKeyId}.`,
+        true
+      );
+      return;
+    }
+    this.setSettings({ ...base, ...derived });
+  }
+
+  setSettings(settings) {
+    const changed =
+      formatHashRecipe(settings) !== formatHashRecipe(this.settings) ||
+      settings.key !== this.settings.key;
+    this.settings = settings;
+    this.elements.whitespaceSelect.value = settings.whitespace;
+    this.elements.precisionSelect.value = settings.datePrecision;
+    this.elements.timezoneSelect.value = settings.timezone;
+    this.elements.schemeSelect.value = settings.scheme;
+    this.elements.algorithmSelect.value = settings.algorithm;
+    this.elements.caseFoldOptions
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = settings.caseFold.includes(checkbox.value);
+      });
+    this.elements.urlOptions
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = settings.url.includes(checkbox.value);
+      });
+    this.elements.keyingSelect.value = settings.keying;
+    this.renderRules();
+    this.elements.recipeInput.value = formatHashRecipe(settings);
+    this.setStatus("");
+    if (settings.keying === "none") {
+      this.setSecretStatus("");
+    } else if (settings.key) {
+      this.setSecretStatus(
+        `Key check ${settings.keyId}. Share it with the other party to confirm you both used the same secret.`
+      );
+    } else {
+      this.setSecretStatus("Enter the shared secret to hash with this recipe.");
+    }
+    if (changed && typeof this.onChange === "function") {
+      this.onChange(settings);
+    }
+  }
+
+  applyRecipe(recipe) {
+    let settings;
+    try {
+      settings = parseHashRecipe(recipe);
+    } catch (error) {
+      this.setStatus(
+        error instanceof ExportParseError
+          ? error.message
+          : "That recipe could not be read.",
+        true
+      );
+      return;
+    }
+    this.expectedKeyId = settings.keyId;
+    this.updateKey(settings);
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.recipeStatus.style.color = isError ? "#c81e1e" : "#52606d";
+    this.elements.recipeStatus.textContent = message;
+  }
+
+  setSecretStatus(message, isError = false) {
+    this.elements.secretStatus.style.color = isError ? "#c81e1e" : "#52606d";
+    this.elements.secretStatus.textContent = message;
+  }
+}
+
+class SigningKeyPanel {
+  constructor(root) {
+    this.root = root;
+    this.elements = {
+      keyInput: root.querySelector('[data-role="key-input"]'),
+      algorithmSelect: root.querySelector('[data-role="key-algorithm"]'),
+      generateButton: root.querySelector('[data-role="generate-key"]'),
+      forgetButton: root.querySelector('[data-role="forget-key"]'),
+      keyStatus: root.querySelector('[data-role="key-status"]'),
+    };
+    this.key = null;
+
+    this.elements.keyInput.addEventListener("change", (event) => {
+      const [file] = event.target.files;
+      this.loadKeyFile(file);
+    });
+    this.elements.generateButton.addEventListener("click", () => {
+      this.generateKey();
+    });
+    this.elements.forgetButton.addEventListener("click", () => {
+      this.setKey(null);
+    });
+    this.setKey(null);
+  }
+
+  getKey() {
+    return this.key;
+  }
+
+  setKey(key, message = "") {
+    this.key = key;
+    this.elements.keyInput.value = "";
+    this.elements.forgetButton.disabled = !key;
+    this.elements.keyStatus.style.color = "#52606d";
+    this.elements.keyStatus.textContent =
+      message ||
+      (key
+        ? `Snapshots will be signed with ${
+            key.algorithm
+          } key ${key.fingerprint.slice(0, 16)}.`
+        : "No signing key loaded. Exported snapshots are unsigned.");
+  }
+
+  async loadKeyFile(file) {
+    if (!file) {
+      return;
+    }
+    try {
+      const key = await importSigningKey(JSON.parse(await file.text()));
+      this.setKey(key);
+    } catch (error) {
+      console.error(error);
+      this.setKey(null);
+      this.elements.keyStatus.style.color = "#c81e1e";
+      this.elements.keyStatus.textContent =
+        "That file is not an Ed25519 or ECDSA P-256 private key.";
+    }
+  }
+
+  async generateKey() {
+    const algorithm = this.elements.algorithmSelect.value;
+    try {
+      const keyFile = await generateSigningKey(algorithm);
+      const key = await importSigningKey(keyFile);
+      downloadFile(
+        `signing-key-${key.fingerprint.slice(0, 8)}.json`,
+        JSON.stringify(keyFile, null, 2),
+        "application/json"
+      );
+      this.setKey(
+        key,
+        `Generated ${algorithm} key ${key.fingerprint.slice(
+          0,
+          16
+        )}. Keep the downloaded key file private.`
+      );
+    } catch (error) {
+      console.error(error);
+      this.elements.keyStatus.style.color = "#c81e1e";
+      this.elements.keyStatus.textContent = `This browser cannot generate ${algorithm} keys.`;
+    }
+  }
+}
+
+class BreachCheckPanel {
+  constructor(root, panels) {
+    this.root = root;
+    this.panels = panels;
+    this.elements = {
+      directoryInput: root.querySelector('[data-role="range-directory"]'),
+      fileInput: root.querySelector('[data-role="range-file"]'),
+      exportButton: root.querySelector('[data-role="export-breached"]'),
+      forgetButton: root.querySelector('[data-role="forget-ranges"]'),
+      status: root.querySelector('[data-role="breach-status"]'),
+    };
+    this.index = null;
+    this.results = new Map();
+
+    this.elements.directoryInput.addEventListener("change", (event) => {
+      this.loadIndex(() => new RangeDirectoryIndex(event.target.files));
+    });
+    this.elements.fileInput.addEventListener("change", (event) => {
+      const [file] = event.target.files;
+      if (file) {
+        this.loadIndex(() => SortedHashFileIndex.open(file));
+      }
+    });
+    this.elements.exportButton.addEventListener("click", () => {
+      this.exportList();
+    });
+    this.elements.forgetButton.addEventListener("click", () => {
+      this.setIndex(null);
+    });
+    this.setIndex(null);
+  }
+
+  async loadIndex(createIndex) {
+    try {
+      this.setIndex(await createIndex());
+    } catch (error) {
+      console.error(error);
+      this.setIndex(null);
+      this.setStatus(
+        error instanceof ExportParseError
+          ? error.message
+          : "Those files could not be read as Pwned Passwords ranges.",
+        true
+      );
+    }
+  }
+
+  setIndex(index) {
+    this.index = index;
+    this.elements.directoryInput.value = "";
+    this.elements.fileInput.value = "";
+    this.elements.forgetButton.disabled = !index;
+    this.results.clear();
+    this.panels.forEach((panel) => this.checkPanel(panel));
+  }
+
+  setPanels(panels) {
+    this.panels = panels;
+    [...this.results.keys()].forEach((panel) => {
+      if (!panels.includes(panel)) {
+        this.results.delete(panel);
+      }
+    });
+    this.updateStatus();
+  }
+
+  async checkPanel(panel) {
+    const records = panel.getRecords();
+    const index = this.index;
+    if (this.results.get(panel)?.records === records) {
+      return;
+    }
+    if (!index || !records.length) {
+      this.results.delete(panel);
+      panel.setBreached([]);
+      this.updateStatus();
+      return;
+    }
+
+    this.results.set(panel, { records, result: null });
+    this.updateStatus();
+    let result;
+    try {
+      result = await checkBreachedPasswords(records, index);
+    } catch (error) {
+      console.error(error);
+      result = { checked: 0, breached: [], error: true };
+    }
+    if (index !== this.index || this.results.get(panel)?.records !== records) {
+      return;
+    }
+    this.results.set(panel, { records, result });
+    panel.setBreached(result.breached);
+    this.updateStatus();
+  }
+
+  updateStatus() {
+    const checked = Array.from(this.results.entries());
+    this.elements.exportButton.disabled = !checked.some(
+      ([, { result }]) => result?.breached.length
+    );
+    if (!this.index) {
+      this.setStatus("No range files loaded.");
+      return;
+    }
+    const lines = checked.map(([panel, { result }]) => {
+      if (!result) {
+        return `${panel.getLabel()}: checking…`;
+      }
+      if (result.error) {
+        return `${panel.getLabel()}: the range files could not be read.`;
+      }
+      return `${panel.getLabel()}: ${result.breached.length.toLocaleString()} of ${result.checked.toLocaleString()} passwords found in breaches.`;
+    });
+    this.setStatus(
+      [`Using ${this.index.label}.`, ...lines].join(" "),
+      checked.some(([, { result }]) => result?.breached.length)
+    );
+  }
+
+  setStatus(message, isWarning = false) {
+    this.elements.status.style.color = isWarning ? "#c81e1e" : "#52606d";
+    this.elements.status.textContent = message;
+  }
+
+  exportList() {
+    const rows = [["Dataset", "File", "Title", "Username", "Leaf", "Seen"]];
+    this.results.forEach(({ result }, panel) => {
+      result?.breached.forEach((entry) => {
+        rows.push([
+          panel.getLabel(),
+          panel.getFileName(),
+          entry.title,
+          entry.username,
+          entry.hash,
+          String(entry.count),
+        ]);
+      });
+    });
+    if (rows.length === 1) {
+      return;
+    }
+    downloadFile(
+      "breached-passwords.csv",
+      rows.map(formatCsvRow).join("\r\n"),
+      "text/csv"
+    );
+  }
+}
+
+class RecentSnapshotsPanel {
+  constructor(root, panels) {
+    this.root = root;
+    this.panels = panels;
+    this.elements = {
+      list: root.querySelector('[data-role="recent-list"]'),
+      status: root.querySelector('[data-role="recent-status"]'),
+    };
+    this.store = null;
+    this.onLoad = null;
+    this.setStatus("Saved snapshots are not available in this browser.");
+  }
+
+  setLoadHandler(handler) {
+    this.onLoad = handler;
+  }
+
+  setPanels(panels) {
+    this.panels = panels;
+    this.refresh();
+  }
+
+  async setStore(store) {
+    this.store = store;
+    await this.refresh();
+  }
+
+  async refresh() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      this.render(await this.store.listSnapshots());
+    } catch (error) {
+      console.error(error);
+      this.setStatus("Unable to read the saved snapshots.", true);
+    }
+  }
+
+  render(records) {
+    const { list } = this.elements;
+    list.innerHTML = "";
+    list.classList.toggle("hidden", !records.length);
+    this.setStatus(records.length ? "" : "No snapshots saved yet.");
+
+    records.forEach((record) => {
+      const { manifest } = record;
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = `${
+        manifest.source || "Unnamed export"
+      } · ${manifest.entryCount.toLocaleString()} entries · ${manifest.root.slice(
+        0,
+        12
+      )} · ${formatTimestamp(record.savedAt)}`;
+      item.appendChild(label);
+
+      const actions = document.createElement("div");
+      actions.className = "copy-group";
+      this.panels.forEach((panel) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "copy-button";
+        button.textContent = `Load into ${panel.getLabel()}`;
+        button.addEventListener("click", () => {
+          if (typeof this.onLoad === "function") {
+            this.onLoad(panel, manifest);
+          }
+        });
+        actions.appendChild(button);
+      });
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "clear-button";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", async () => {
+        await this.store.deleteSnapshot(record.id);
+        await this.refresh();
+      });
+      actions.appendChild(removeButton);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.style.color = isError ? "#c81e1e" : "#52606d";
+    this.elements.status.textContent = message;
+  }
+}
+
+class SessionStore {
+  static open(factory = globalThis.indexedDB) {
+    return new Promise((resolve, reject) => {
+      if (!factory) {
+        reject(new Error("IndexedDB is not available."));
+        return;
+      }
+      const request = factory.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("preferences");
+        request.result.createObjectStore("snapshots", { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(new SessionStore(request.result));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  run(storeNames, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const request = operation(transaction);
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getPreference(name) {
+    return this.run("preferences", "readonly", (transaction) =>
+      transaction.objectStore("preferences").get(name)
+    );
+  }
+
+  setPreference(name, value) {
+    return this.run("preferences", "readwrite", (transaction) =>
+      transaction.objectStore("preferences").put(value, name)
+    );
+  }
+
+  async listSnapshots() {
+    const records = await this.run("snapshots", "readonly", (transaction) =>
+      transaction.objectStore("snapshots").getAll()
+    );
+    return sortRecentSnapshots(records);
+  }
+
+  async saveSnapshot(manifest, replaceId = null) {
+    const record = {
+      id: `${manifest.recipe ?? ""}|${manifest.root}`,
+      savedAt: new Date().toISOString(),
+      manifest,
+    };
+    let created = false;
+    await this.run("snapshots", "readwrite", (transaction) => {
+      const store = transaction.objectStore("snapshots");
+      store.get(record.id).onsuccess = (event) => {
+        created = !event.target.result;
+      };
+      store.put(record);
+      if (replaceId && replaceId !== record.id) {
+        store.delete(replaceId);
+      }
+      const request = store.getAll();
+      request.onsuccess = () => {
+        sortRecentSnapshots(request.result)
+          .slice(RECENT_SNAPSHOT_LIMIT)
+          .forEach(({ id }) => store.delete(id));
+      };
+    });
+    return { id: record.id, created };
+  }
+
+  findSnapshot(id) {
+    return this.run("snapshots", "readonly", (transaction) =>
+      transaction.objectStore("snapshots").get(id)
+    );
+  }
+
+  deleteSnapshot(id) {
+    return this.run("snapshots", "readwrite", (transaction) =>
+      transaction.objectStore("snapshots").delete(id)
+    );
+  }
+
+  forget() {
+    return this.run(
+      ["preferences", "snapshots"],
+      "readwrite",
+      (transaction) => {
+        transaction.objectStore("preferences").clear();
+        transaction.objectStore("snapshots").clear();
+      }
+    );
+  }
+}
+
+class RangeDirectoryIndex {
+  constructor(files) {
+    this.files = new Map();
+    Array.from(files).forEach((file) => {
+      const match = file.name.match(/^([0-9a-f]{5})(?:\.txt)?$/i);
+      if (match) {
+        this.files.set(match[1].toUpperCase(), file);
+      }
+    });
+    if (!this.files.size) {
+      throw new ExportParseError(
+        "That directory has no range files named like 00000.txt."
+      );
+    }
+    this.label = `${this.files.size.toLocaleString()} range files`;
+  }
+
+  async lookupRange(prefix) {
+    const file = this.files.get(prefix);
+    return file ? parseHashRange(await file.text(), prefix) : new Map();
+  }
+}
+
+class SortedHashFileIndex {
+  static async open(file) {
+    const index = new SortedHashFileIndex(file);
+    const { line } = await index.readLineAt(0);
+    if (!/^[0-9a-f]{40}:\d+$/i.test(line)) {
+      throw new ExportParseError(
+        `${file.name} is not a sorted list of SHA-1 hashes with counts.`
+      );
+    }
+    return index;
+  }
+
+  constructor(file) {
+    this.file = file;
+    this.label = file.name;
+  }
+
+  async readLineAt(offset) {
+    const start = Math.max(0, offset - 1);
+    const text = await this.file.slice(start, start + RANGE_PROBE_BYTES).text();
+    const lineStart = offset === 0 ? 0 : text.indexOf("\n") + 1;
+    if (offset > 0 && lineStart === 0) {
+      return { line: "", start: this.file.size };
+    }
+    const lineEnd = text.indexOf("\n", lineStart);
+    return {
+      line: text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim(),
+      start: start + lineStart,
+    };
+  }
+
+  async lookupRange(prefix) {
+    let low = 0;
+    let high = this.file.size;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const { line } = await this.readLineAt(middle);
+      if (line && line.slice(0, RANGE_PREFIX_LENGTH).toUpperCase() < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    let { start: offset } = await this.readLineAt(low);
+    let text = "";
+    while (offset < this.file.size) {
+      const chunk = await this.file
+        .slice(offset, offset + RANGE_CHUNK_BYTES)
+        .text();
+      offset += chunk.length;
+      text += chunk;
+      const lastLine = text.slice(text.lastIndexOf("\n", text.length - 2) + 1);
+      if (lastLine.slice(0, RANGE_PREFIX_LENGTH).toUpperCase() > prefix) {
+        break;
+      }
+    }
+    return parseHashRange(text, prefix);
+  }
+}
+
+function buildActiveFields(headers, profile = GENERIC_FORMAT) {
+  const excludedColumns = new Set(profile.groupColumns ?? []);
+  const canonicalHeaderMap = new Map();
+  const mappedHeaders = new Set();
+
+  Object.entries(profile.columns ?? {}).forEach(([canonical, candidates]) => {
+    const header = headers.find((value) =>
+      candidates.includes(toCanonical(value))
+    );
+    if (header !== undefined && !canonicalHeaderMap.has(canonical)) {
+      canonicalHeaderMap.set(canonical, header);
+      mappedHeaders.add(header);
+    }
+  });
+
+  headers.forEach((header) => {
+    if (mappedHeaders.has(header)) {
+      return;
+    }
+    const canonical = toCanonical(header);
+    if (!canonical || excludedColumns.has(canonical)) {
+      return;
+    }
+    if (!canonicalHeaderMap.has(canonical)) {
+      canonicalHeaderMap.set(canonical, header);
+    }
+  });
+
+  const baseFields = FIELD_CONFIG.map((field) => {
+    const headerName = canonicalHeaderMap.get(field.canonical) ?? null;
+    canonicalHeaderMap.delete(field.canonical);
+    return { ...field, headerName };
+  });
+
+  const additionalFields = Array.from(canonicalHeaderMap.entries())
+    .map(([canonical, headerName]) => ({
+      label: CANONICAL_LABELS[canonical] ?? headerName,
+      canonical,
+      headerName,
+    }))
+    .sort((a, b) =>
+      a.canonical.localeCompare(b.canonical, undefined, {
+        sensitivity: "base",
+      })
+    );
+
+  return [...baseFields, ...additionalFields];
+}
+
+function detectFormat(headers) {
+  const present = new Set(headers.map((header) => toCanonical(header)));
+  let best = GENERIC_FORMAT;
+  let bestScore = 0;
+
+  FORMAT_PROFILES.forEach((profile) => {
+    const hasCoreColumns = ["title", "username", "password"].every(
+      (canonical) =>
+        profile.columns[canonical].some((candidate) => present.has(candidate))
+    );
+    if (!hasCoreColumns) {
+      return;
+    }
+    const matched = profile.signature.filter((column) =>
+      present.has(column)
+    ).length;
+    const score = matched * 100 - (profile.signature.length - matched);
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function findFormatProfile(id) {
+  return (
+    FORMAT_PROFILES.find((profile) => profile.id === id) ??
+    (id === GENERIC_FORMAT.id ? GENERIC_FORMAT : null)
+  );
+}
+
+function describeFormat(profile) {
+  const excluded = (profile.groupColumns ?? []).map(
+    (column) => column.charAt(0).toUpperCase() + column.slice(1)
+  );
+  const exclusionText = excluded.length
+    ? `All columns (excluding ${excluded.join(", ")}) can be hashed.`
+    : "All columns can be hashed.";
+  return `${profile.label} format. ${exclusionText} Title, Username, Password, and Last Modified are selected by default.`;
+}
+
+function formatEntryCount(count) {
+  const numeric = Number(count);
+  const safeCount = Number.isFinite(numeric) ? Math.max(0, Math.floor(numeric)) : 0;
+  const label = safeCount === 1 ? "entry" : "entries";
+  return `${safeCount.toLocaleString()} ${label}`;
+}
+
+function buildFieldDiff(leftRecords, rightRecords, options = {}) {
+  const keyFields = options.keyFields?.length
+    ? options.keyFields
+    : DEFAULT_MATCH_KEY;
+  const compareFields = options.compareFields ?? [];
+  const keyOf = (record) =>
+    JSON.stringify(
+      keyFields.map((canonical) => record.values[canonical] ?? "")
+    );
+  const differingFields = (left, right) =>
+    compareFields.filter(
+      (canonical) =>
+        (left.values[canonical] ?? "") !== (right.values[canonical] ?? "")
+    );
+
+  const rightGroups = new Map();
+  rightRecords.forEach((record) => {
+    const key = keyOf(record);
+    if (!rightGroups.has(key)) {
+      rightGroups.set(key, []);
+    }
+    rightGroups.get(key).push(record);
+  });
+
+  const leftGroups = new Map();
+  leftRecords.forEach((record) => {
+    const key = keyOf(record);
+    if (!leftGroups.has(key)) {
+      leftGroups.set(key, []);
+    }
+    leftGroups.get(key).push(record);
+  });
+
+  const result = { added: [], removed: [], modified: [], unchangedCount: 0 };
+
+  leftGroups.forEach((lefts, key) => {
+    const rights = [...(rightGroups.get(key) ?? [])];
+    rightGroups.delete(key);
+    const unmatchedLefts = [];
+
+    lefts.forEach((left) => {
+      const exactIndex = rights.findIndex(
+        (right) => !differingFields(left, right).length
+      );
+      if (exactIndex === -1) {
+        unmatchedLefts.push(left);
+        return;
+      }
+      rights.splice(exactIndex, 1);
+      result.unchangedCount += 1;
+    });
+
+    unmatchedLefts.forEach((left, index) => {
+      const right = rights[index];
+      if (!right) {
+        result.removed.push(left);
+        return;
+      }
+      result.modified.push({
+        key,
+        left,
+        right,
+        fields: differingFields(left, right),
+      });
+    });
+
+    rights.slice(unmatchedLefts.length).forEach((right) => {
+      result.added.push(right);
+    });
+  });
+
+  rightGroups.forEach((rights) => {
+    result.added.push(...rights);
+  });
+
+  return result;
+}
+
+function diffMerkleTrees(leftLevels, rightLevels) {
+  const height = Math.max(leftLevels.length, rightLevels.length);
+  const result = {
+    visited: 0,
+    total: countTreePositions(leftLevels, rightLevels),
+    leftNodes: new Set(),
+    rightNodes: new Set(),
+    leafIndexes: [],
+  };
+  if (!height) {
+    return result;
+  }
+
+  const pending = [{ level: height - 1, index: 0 }];
+  while (pending.length) {
+    const { level, index } = pending.pop();
+    const left = leftLevels[level]?.[index];
+    const right = rightLevels[level]?.[index];
+    if (!left && !right) {
+      continue;
+    }
+
+    result.visited += 1;
+    if (left && right && left.hash === right.hash) {
+      continue;
+    }
+
+    const key = nodeKey(level, index);
+    if (left && !left.isDuplicate) {
+      result.leftNodes.add(key);
+    }
+    if (right && !right.isDuplicate) {
+      result.rightNodes.add(key);
+    }
+
+    if (level === 0) {
+      result.leafIndexes.push(index);
+      continue;
+    }
+    pending.push(
+      { level: level - 1, index: index * 2 + 1 },
+      { level: level - 1, index: index * 2 }
+    );
+  }
+
+  return result;
+}
+
+function diffLeafMultisets(leftEntries, rightEntries) {
+  const countHashes = (entries) => {
+    const counts = new Map();
+    entries.forEach(({ hash }) => {
+      if (hash) {
+        counts.set(hash, (counts.get(hash) ?? 0) + 1);
+      }
+    });
+    return counts;
+  };
+  const leftCounts = countHashes(leftEntries);
+  const rightCounts = countHashes(rightEntries);
+  let extraCopies = 0;
+
+  const flagSurplus = (entries, ownCounts, otherCounts) => {
+    const seen = new Map();
+    const nodes = new Set();
+    entries.forEach(({ hash }, index) => {
+      if (!hash) {
+        return;
+      }
+      const occurrence = (seen.get(hash) ?? 0) + 1;
+      seen.set(hash, occurrence);
+      const otherCount = otherCounts.get(hash) ?? 0;
+      if (occurrence > otherCount) {
+        nodes.add(nodeKey(0, index));
+        if (otherCount > 0 && occurrence === ownCounts.get(hash)) {
+          extraCopies += occurrence - otherCount;
+        }
+      }
+    });
+    return nodes;
+  };
+
+  return {
+    leftNodes: flagSurplus(leftEntries, leftCounts, rightCounts),
+    rightNodes: flagSurplus(rightEntries, rightCounts, leftCounts),
+    extraCopies,
+  };
+}
+
+function buildDriftReport(leftRecords, rightRecords, options = {}) {
+  const compareFields = [
+    ...new Set([...(options.compareFields ?? []), DRIFT_FIELD]),
+  ];
+  const diff = buildFieldDiff(leftRecords, rightRecords, {
+    keyFields: options.keyFields,
+    compareFields,
+  });
+  const result = {
+    counts: { lost: 0, metadata: 0, undated: 0, newerLeft: 0, newerRight: 0 },
+    entries: [],
+  };
+
+  diff.modified.forEach(({ left, right, fields }) => {
+    const leftModified = left.values[DRIFT_FIELD] ?? "";
+    const rightModified = right.values[DRIFT_FIELD] ?? "";
+    let newer = null;
+    if (leftModified && rightModified && leftModified !== rightModified) {
+      newer = leftModified > rightModified ? "left" : "right";
+    }
+    const contentFields = fields.filter((field) => field !== DRIFT_FIELD);
+    let category = "undated";
+    if (!contentFields.length) {
+      category = "metadata";
+    } else if (newer) {
+      category = "lost";
+    }
+
+    result.counts[category] += 1;
+    if (newer === "left") {
+      result.counts.newerLeft += 1;
+    } else if (newer === "right") {
+      result.counts.newerRight += 1;
+    }
+    result.entries.push({
+      category,
+      newer,
+      values: left.values,
+      leftModified,
+      rightModified,
+      fields: contentFields,
+    });
+  });
+
+  return result;
+}
+
+function buildThreeWayDiff(
+  baseEntries,
+  oursEntries,
+  theirsEntries,
+  options = {}
+) {
+  const keyFields = options.keyFields ?? [];
+  const sides = [baseEntries, oursEntries, theirsEntries].map((entries) =>
+    groupByMatchKey(entries, keyFields)
+  );
+
+  const result = {
+    counts: { unchanged: 0, ours: 0, theirs: 0, both: 0, conflict: 0 },
+    changes: [],
+    nodes: sides.map(() => new Map()),
+  };
+  const keys = new Set(sides.flatMap((groups) => [...groups.keys()]));
+  keys.forEach((key) => {
+    const [base, ours, theirs] = sides.map((groups) =>
+      describeVersion(groups.get(key))
+    );
+    let category = "conflict";
+    if (ours === base && theirs === base) {
+      category = "unchanged";
+    } else if (theirs === base) {
+      category = "ours";
+    } else if (ours === base) {
+      category = "theirs";
+    } else if (ours === theirs) {
+      category = "both";
+    }
+    result.counts[category] += 1;
+    if (category === "unchanged") {
+      return;
+    }
+
+    const [{ entry }] = [1, 2, 0]
+      .map((side) => sides[side].get(key))
+      .find(Boolean);
+    result.changes.push({
+      category,
+      values: keyFields.length ? entry.values : null,
+      hash: entry.hash,
+    });
+    sides.forEach((groups, side) => {
+      groups.get(key)?.forEach(({ index }) => {
+        result.nodes[side].set(nodeKey(0, index), category);
+      });
+    });
+  });
+
+  return result;
+}
+
+function buildPresenceMatrix(datasets, options = {}) {
+  const keyFields = options.keyFields ?? [];
+  const sides = datasets.map((entries) => groupByMatchKey(entries, keyFields));
+  const result = { rows: [], identicalCount: 0 };
+  const keys = new Set(sides.flatMap((groups) => [...groups.keys()]));
+  keys.forEach((key) => {
+    const versions = sides.map((groups) => describeVersion(groups.get(key)));
+    const tally = new Map();
+    versions.filter(Boolean).forEach((version) => {
+      tally.set(version, (tally.get(version) ?? 0) + 1);
+    });
+    const [reference] = [...tally].reduce((best, candidate) =>
+      candidate[1] > best[1] ? candidate : best
+    );
+    const cells = versions.map((version) => {
+      if (!version) {
+        return "missing";
+      }
+      return version === reference ? "present" : "different";
+    });
+    if (cells.every((cell) => cell === "present")) {
+      result.identicalCount += 1;
+      return;
+    }
+
+    const [{ entry }] = sides.map((groups) => groups.get(key)).find(Boolean);
+    result.rows.push({
+      values: keyFields.length ? entry.values : null,
+      hash: entry.hash,
+      cells,
+    });
+  });
+
+  return result;
+}
+
+function groupByMatchKey(entries, keyFields) {
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const key = keyFields.length
+      ? JSON.stringify(
+          keyFields.map((canonical) => entry.values[canonical] ?? "")
+        )
+      : entry.hash;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ entry, index });
+  });
+  return groups;
+}
+
+function describeVersion(items = []) {
+  return items
+    .map(({ entry }) => entry.hash)
+    .sort()
+    .join("|");
+}
+
+function groupRoots(datasets) {
+  const groups = new Map();
+  datasets.forEach(({ label, root }) => {
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(label);
+  });
+  return [...groups].map(([root, labels]) => ({ root, labels }));
+}
+
+function findDuplicateGroups(leaves, records = []) {
+  const exact = new Map();
+  const source = records.length
+    ? records
+    : leaves.map(({ hash }) => ({ hash, values: {} }));
+  source.forEach((record) => {
+    if (!exact.has(record.hash)) {
+      exact.set(record.hash, []);
+    }
+    exact.get(record.hash).push(record);
+  });
+
+  const identities = new Map();
+  records.forEach((record) => {
+    const title = record.values.title ?? "";
+    const username = record.values.username ?? "";
+    if (!title && !username) {
+      return;
+    }
+    const key = JSON.stringify([title, username]);
+    if (!identities.has(key)) {
+      identities.set(key, { title, username, records: [] });
+    }
+    identities.get(key).records.push(record);
+  });
+
+  return {
+    exact: Array.from(exact.entries())
+      .filter(([, group]) => group.length > 1)
+      .map(([hash, group]) => ({
+        hash,
+        count: group.length,
+        title: group[0].values.title ?? "",
+        username: group[0].values.username ?? "",
+      })),
+    near: Array.from(identities.values())
+      .map((identity) => ({
+        ...identity,
+        count: identity.records.length,
+        variants: new Set(
+          identity.records.map((record) => record.values.password ?? "")
+        ).size,
+      }))
+      .filter((identity) => identity.variants > 1)
+      .map(({ records: _records, ...identity }) => identity),
+  };
+}
+
+async function auditPasswords(
+  records,
+  { staleDays = DEFAULT_STALE_DAYS, now = Date.now() } = {}
+) {
+  const key = await crypto.subtle.generateKey(
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const encoder = new TextEncoder();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const cutoff = now - staleDays * dayMs;
+  const groups = new Map();
+  const weak = [];
+  const stale = [];
+  let undated = 0;
+
+  const auditRecord = async ({ hash, values }) => {
+    const entry = {
+      hash,
+      title: values.title ?? "",
+      username: values.username ?? "",
+    };
+    if (values.password) {
+      const digest = bytesToHex(
+        new Uint8Array(
+          await crypto.subtle.sign("HMAC", key, encoder.encode(values.password))
+        )
+      );
+      if (!groups.has(digest)) {
+        groups.set(digest, []);
+      }
+      groups.get(digest).push(entry);
+
+      const strength = estimatePasswordStrength(values.password, [
+        entry.title,
+        entry.username,
+      ]);
+      if (strength.weak) {
+        weak.push({ ...entry, bits: strength.bits, reasons: strength.reasons });
+      }
+    }
+    if ("last modified" in values) {
+      const modifiedAt = Date.parse(values["last modified"]);
+      if (Number.isNaN(modifiedAt)) {
+        undated += 1;
+      } else if (modifiedAt < cutoff) {
+        stale.push({
+          ...entry,
+          modified: values["last modified"],
+          ageDays: Math.floor((now - modifiedAt) / dayMs),
+        });
+      }
+    }
+  };
+
+  for (let start = 0; start < records.length; start += HASH_BATCH_SIZE) {
+    await Promise.all(
+      records.slice(start, start + HASH_BATCH_SIZE).map(auditRecord)
+    );
+  }
+
+  return {
+    staleDays,
+    reused: Array.from(groups.values())
+      .filter((entries) => entries.length > 1)
+      .sort((a, b) => b.length - a.length)
+      .map((entries) => ({ entries })),
+    weak: weak.sort((a, b) => a.bits - b.bits),
+    stale: stale.sort((a, b) => b.ageDays - a.ageDays),
+    undated,
+  };
+}
+
+function estimatePasswordStrength(password, context = []) {
+  const characters = Array.from(password);
+  const pool =
+    (/[a-z]/.test(password) ? 26 : 0) +
+    (/[A-Z]/.test(password) ? 26 : 0) +
+    (/\d/.test(password) ? 10 : 0) +
+    (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(password) ? 33 : 0) +
+    (/[^\x20-\x7e]/.test(password) ? 100 : 0);
+  const bitsPerCharacter = Math.log2(Math.max(pool, 2));
+  const reasons = [];
+  let bits = characters.length * bitsPerCharacter;
+
+  const lower = password.toLowerCase();
+  if (
+    COMMON_PASSWORDS.has(lower) ||
+    COMMON_PASSWORDS.has(lower.replace(/[\d\W_]+$/, ""))
+  ) {
+    reasons.push("common password");
+    bits = Math.min(bits, 10);
+  }
+
+  if (characters.length < 8) {
+    reasons.push("shorter than 8 characters");
+  }
+
+  const repeats = password.match(/(.)\1{2,}/gu) ?? [];
+  if (repeats.length) {
+    reasons.push("repeated characters");
+    repeats.forEach((run) => {
+      bits -= (Array.from(run).length - 1) * bitsPerCharacter;
+    });
+  }
+
+  let sequenceLength = 0;
+  PASSWORD_SEQUENCES.forEach((sequence) => {
+    const reversed = Array.from(sequence).reverse().join("");
+    for (let length = lower.length; length > sequenceLength; length -= 1) {
+      if (length < 4) {
+        break;
+      }
+      for (let start = 0; start + length <= lower.length; start += 1) {
+        const part = lower.slice(start, start + length);
+        if (sequence.includes(part) || reversed.includes(part)) {
+          sequenceLength = length;
+          break;
+        }
+      }
+    }
+  });
+  if (sequenceLength) {
+    reasons.push("keyboard or alphabet sequence");
+    bits -= (sequenceLength - 1) * bitsPerCharacter;
+  }
+
+  if (/(?:19|20)\d{2}/.test(password)) {
+    reasons.push("contains a year");
+    bits -= 7;
+  }
+
+  const contextMatch = context
+    .map((value) => value.toLowerCase())
+    .filter((value) => value.length >= 3 && lower.includes(value))
+    .sort((a, b) => b.length - a.length)[0];
+  if (contextMatch) {
+    reasons.push("contains the entry's title or username");
+    bits -= (contextMatch.length - 1) * bitsPerCharacter;
+  }
+
+  bits = Math.max(0, Math.round(bits));
+  return {
+    bits,
+    reasons,
+    weak: bits < WEAK_PASSWORD_BITS || reasons.includes("common password"),
+  };
+}
+
+function describeEntry({ title, username }) {
+  return [title || "(untitled)", username].filter(Boolean).join(" · ");
+}
+
+function createListSection(heading, items, limit = REPORT_LIST_LIMIT) {
+  if (!items.length) {
+    return null;
+  }
+  const section = document.createElement("div");
+  const title = document.createElement("h3");
+  title.textContent = heading;
+  const list = document.createElement("ul");
+  items.slice(0, limit).forEach((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  if (items.length > limit) {
+    const item = document.createElement("li");
+    item.textContent = `…and ${(items.length - limit).toLocaleString()} more`;
+    list.appendChild(item);
+  }
+  section.appendChild(title);
+  section.appendChild(list);
+  return section;
+}
+
+function countTreePositions(leftLevels, rightLevels) {
+  const height = Math.max(leftLevels.length, rightLevels.length);
+  let total = 0;
+  for (let level = 0; level < height; level += 1) {
+    total += Math.max(
+      leftLevels[level]?.length ?? 0,
+      rightLevels[level]?.length ?? 0
+    );
+  }
+  return total;
+}
+
+function nodeKey(level, index) {
+  return `${level}:${index}`;
+}
+
+function formatIndexRanges(indexes) {
+  const sorted = [...indexes].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  });
+  return ranges
+    .map(([start, end]) =>
+      start === end ? `#${start + 1}` : `#${start + 1}–${end + 1}`
+    )
+    .join(", ");
+}
+
+function createRow(cells, cellTag) {
+  const row = document.createElement("tr");
+  cells.forEach((text) => {
+    const cell = document.createElement(cellTag);
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+function createMessage(text) {
+  const message = document.createElement("p");
+  message.className = "report-message";
+  message.textContent = text;
+  return message;
+}
+
+async function hashDataset(
+  entries,
+  activeFields,
+  selectedFields,
+  {
+    settings = DEFAULT_HASH_SETTINGS,
+    isCurrent = () => true,
+    onProgress = null,
+  } = {}
+) {
+  if (settings.keying !== "none" && !settings.key) {
+    throw new ExportParseError(
+      "Enter the shared secret to hash with this keyed recipe."
+    );
+  }
+  const rows = prepareEntries(entries, activeFields, settings);
+  if (!rows.length && entries.length) {
+    throw new ExportParseError("No entries match the row filters.");
+  }
+  const selectedCanonical = selectedFields.map((field) => field.canonical);
+  const hashes = [];
+  const titleField = activeFields.find(
+    (field) => field.canonical === "title" && field.headerName
+  );
+  const passwordField = activeFields.find(
+    (field) => field.canonical === "password" && field.headerName
+  );
+  const availableFields = activeFields.filter((field) =>
+    Boolean(field.headerName)
+  );
+  const contentFields = availableFields.filter((field) =>
+    CONTENT_COLUMNS.includes(field.canonical)
+  );
+  const contentCanonical = contentFields.map((field) => field.canonical);
+  const separateContent =
+    contentFields.length > 0 &&
+    contentCanonical.join("|") !== selectedCanonical.join("|");
+
+  const hashFields = (entry, fields, canonical) =>
+    Promise.all([
+      hashLeaf(normalizeEntry(entry, fields, settings), canonical, settings),
+      sha256Hex(canonicalizeEntry(entry, fields, settings)),
+    ]);
+
+  const hashEntry = async (entry) => {
+    const [[merkleHash, canonicalHash], content] = await Promise.all([
+      hashFields(entry, selectedFields, selectedCanonical),
+      separateContent
+        ? hashFields(entry, contentFields, contentCanonical)
+        : null,
+    ]);
+
+    const titleValue = titleField
+      ? normalizeText(entry[titleField.headerName])
+      : "";
+
+    return {
+      merkleHash,
+      canonicalHash,
+      content,
+      title: titleValue,
+      values: normalizeEntry(entry, availableFields, settings),
+      rawPassword: passwordField
+        ? String(entry[passwordField.headerName] ?? "")
+        : "",
+    };
+  };
+
+  for (let start = 0; start < rows.length; start += HASH_BATCH_SIZE) {
+    if (!isCurrent()) {
+      return null;
+    }
+    const batch = rows.slice(start, start + HASH_BATCH_SIZE);
+    hashes.push(...(await Promise.all(batch.map(hashEntry))));
+    onProgress?.({
+      phase: "entries",
+      done: hashes.length,
+      total: rows.length,
+    });
+  }
+
+  if (!isCurrent()) {
+    return null;
+  }
+
+  hashes.sort((a, b) => a.canonicalHash.localeCompare(b.canonicalHash));
+
+  const leaves = hashes.map(({ merkleHash, title }) => ({
+    hash: merkleHash,
+    title,
+  }));
+
+  const records = hashes.map(({ merkleHash, values, rawPassword }) => ({
+    hash: merkleHash,
+    values,
+    rawPassword,
+  }));
+
+  const tree = await buildMerkleTree(leaves, {
+    scheme: settings.scheme,
+    algorithm: settings.algorithm,
+    isCurrent,
+    onProgress,
+  });
+  if (!tree || !isCurrent()) {
+    return null;
+  }
+
+  let contentRoot = contentFields.length ? tree.root : null;
+  if (separateContent) {
+    const contentTree = await buildMerkleTree(
+      hashes
+        .map(({ content }) => content)
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([hash]) => ({ hash })),
+      {
+        scheme: settings.scheme,
+        algorithm: settings.algorithm,
+        isCurrent,
+        onProgress,
+      }
+    );
+    if (!contentTree || !isCurrent()) {
+      return null;
+    }
+    contentRoot = contentTree.root;
+  }
+
+  return {
+    leaves,
+    records,
+    tree,
+    contentRoot,
+    columns: selectedCanonical,
+    recipe: formatHashRecipe(settings),
+  };
+}
+
+async function runPipelineJob(type, payload, options = {}) {
+  if (type === "read") {
+    const { text, encoding } = decodeExportBytes(
+      new Uint8Array(await payload.file.arrayBuffer()),
+      payload.encoding
+    );
+    const manifest = parseSnapshotManifest(text);
+    if (manifest) {
+      return { kind: "snapshot", manifest };
+    }
+    return {
+      kind: "export",
+      encoding,
+      ...parseExportText(text, payload.file.name, {
+        delimiter: payload.delimiter,
+      }),
+    };
+  }
+
+  if (type === "hash") {
+    return hashDataset(
+      payload.entries,
+      payload.activeFields,
+      payload.selectedFields,
+      { ...options, settings: payload.settings }
+    );
+  }
+
+  throw new Error(`Unknown pipeline job "${type}"`);
+}
+
+function describeProgress({ phase, done, total }) {
+  const counts = `${done.toLocaleString()} / ${total.toLocaleString()}`;
+  return phase === "tree"
+    ? `Building Merkle tree… ${counts} nodes`
+    : `Hashing entries… ${counts}`;
+}
+
+function serializeError(error) {
+  return { name: error?.name ?? "Error", message: error?.message ?? "" };
+}
+
+function restoreError({ name, message }) {
+  return name === "ExportParseError"
+    ? new ExportParseError(message)
+    : new Error(message);
+}
+
+function defaultSelectedFields(activeFields) {
+  return activeFields.filter(
+    (field) => field.headerName && DEFAULT_COLUMNS.has(field.canonical)
+  );
+}
+
+function normalizeEntry(
+  entry,
+  selectedFields,
+  settings = DEFAULT_HASH_SETTINGS
+) {
+  const normalized = {};
+
+  for (const field of selectedFields) {
+    normalized[field.canonical] = normalizeField(
+      field.canonical,
+      entry[field.headerName],
+      settings
+    );
+  }
+
+  return normalized;
+}
+
+function canonicalizeEntry(
+  entry,
+  selectedFields,
+  settings = DEFAULT_HASH_SETTINGS
+) {
+  const canonicalObject = {};
+  const sortedFields = [...selectedFields].sort((a, b) =>
+    a.canonical.localeCompare(b.canonical)
+  );
+
+  for (const field of sortedFields) {
+    if (!field.headerName) {
+      continue;
+    }
+
+    canonicalObject[field.canonical] = normalizeField(
+      field.canonical,
+      entry[field.headerName],
+      settings
+    );
+  }
+
+  return JSON.stringify(canonicalObject);
+}
+
+function buildHashInput(normalizedEntry, selectedCanonical) {
+  if (!selectedCanonical || !selectedCanonical.length) {
+    return "";
+  }
+
+  return selectedCanonical.map((field) => normalizedEntry[field] ?? "").join("|");
+}
+
+function normalizeField(canonical, rawValue, settings = DEFAULT_HASH_SETTINGS) {
+  if (canonical === "last modified") {
+    return normalizeDate(rawValue, settings);
+  }
+  let text = normalizeText(rawValue, settings.whitespace);
+  if (canonical === "url") {
+    text = normalizeUrl(text, settings.url);
+  }
+  return settings.caseFold.includes(canonical) ? text.toLowerCase() : text;
+}
+
+function normalizeText(value, whitespace = "collapse") {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (whitespace === "preserve") {
+    return String(value).normalize("NFC");
+  }
+  const text = String(value).trim();
+  if (!text) {
+    return "";
+  }
+  return whitespace === "trim"
+    ? text.normalize("NFC")
+    : text.replace(/\s+/g, " ").normalize("NFC");
+}
+
+function normalizeUrl(value, rules = []) {
+  if (!value || !rules.length) {
+    return value;
+  }
+  let [, scheme = "", host, rest] = value.match(
+    /^([a-z][a-z0-9+.-]*:\/\/)?([^/?#]*)(.*)$/is
+  );
+  if (rules.includes("scheme")) {
+    scheme = "";
+  }
+  if (rules.includes("host")) {
+    scheme = scheme.toLowerCase();
+    host = host.toLowerCase();
+  }
+  if (rules.includes("slash")) {
+    rest = rest.replace(/\/+(?=[?#]|$)/, "");
+  }
+  return `${scheme}${host}${rest}`;
+}
+
+function normalizeDate(value, settings = DEFAULT_HASH_SETTINGS) {
+  const normalizedText = normalizeText(value);
+  if (!normalizedText) {
+    return "";
+  }
+
+  const parsedDate = parseFlexibleDate(
+    normalizedText,
+    settings.timezone === "utc"
+  );
+  if (!parsedDate) {
+    return "";
+  }
+
+  return formatUtcIso(parsedDate, settings.datePrecision);
+}
+
+function parseFlexibleDate(value, assumeUtc = false) {
+  const isoMatch = value.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?(?: ?(Z|[+-]\d{2}:\d{2}))?$/i
+  );
+
+  if (isoMatch) {
+    const [, year, month, day, hour, minute, second, millisecond, zone] =
+      isoMatch;
+    const ms = millisecond ? millisecond.padEnd(3, "0").slice(0, 3) : "000";
+    const baseTime = [hour ?? "00", minute ?? "00", second ?? "00"].map(
+      (segment) => segment.padStart(2, "0")
+    );
+    const core = `${year}-${month}-${day}T${baseTime.join(":")}.${
+      ms || "000"
+    }`;
+
+    if (zone) {
+      const isoString = `${core}${zone === "Z" ? "Z" : zone}`;
+      const offsetDate = new Date(isoString);
+      if (!Number.isNaN(offsetDate.getTime())) {
+        return offsetDate;
+      }
+    } else {
+      const parts = [
+        Number(year),
+        Number(month) - 1,
+        Number(day),
+        Number(hour ?? 0),
+        Number(minute ?? 0),
+        Number(second ?? 0),
+        Number(ms),
+      ];
+      const localDate = assumeUtc
+        ? new Date(Date.UTC(...parts))
+        : new Date(...parts);
+      if (!Number.isNaN(localDate.getTime())) {
+        return localDate;
+      }
+    }
+  }
+
+  const fallbackTimestamp = Date.parse(value);
+  if (!Number.isNaN(fallbackTimestamp)) {
+    const fallbackDate = new Date(fallbackTimestamp);
+    if (assumeUtc && !/(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i.test(value)) {
+      return new Date(
+        fallbackTimestamp - fallbackDate.getTimezoneOffset() * 60 * 1000
+      );
+    }
+    return fallbackDate;
+  }
+
+  return null;
+}
+
+function formatUtcIso(date, precision = "second") {
+  const iso = date.toISOString();
+  if (precision === "day") {
+    return iso.slice(0, 10);
+  }
+  if (precision === "minute") {
+    return `${iso.slice(0, 16)}Z`;
+  }
+  return iso.replace(/\.\d{3}Z$/, "Z");
+}
+
+function formatHashRecipe(settings = DEFAULT_HASH_SETTINGS) {
+  const list = (values) => (values.length ? values.join(",") : "-");
+  return [
+    `v${NORMALIZATION_VERSION}`,
+    `ws=${settings.whitespace}`,
+    `fold=${list(settings.caseFold)}`,
+    `url=${list(settings.url)}`,
+    `date=${settings.datePrecision}`,
+    `tz=${settings.timezone}`,
+    `tree=${settings.scheme}`,
+    `alg=${settings.algorithm}`,
+    `key=${
+      settings.keying === "none"
+        ? "-"
+        : [settings.keying, settings.keySalt, settings.keyId]
+            .filter(Boolean)
+            .join(":")
+    }`,
+    `rows=${list(
+      settings.rowFilters.map(({ mode, column, operator, value }) =>
+        [mode, column, operator, value].map(encodeURIComponent).join(":")
+      )
+    )}`,
+    `xform=${list(
+      settings.transforms.map(({ column, transform }) =>
+        [column, transform].map(encodeURIComponent).join(":")
+      )
+    )}`,
+  ].join(";");
+}
+
+function parseHashRecipe(recipe, { allowOlder = false } = {}) {
+  const [version, ...pairs] = String(recipe || "")
+    .trim()
+    .split(";");
+  const versionNumber = /^v\d+$/.test(version) ? Number(version.slice(1)) : 0;
+  if (
+    versionNumber !== NORMALIZATION_VERSION &&
+    !(allowOlder && versionNumber >= 1 && versionNumber < NORMALIZATION_VERSION)
+  ) {
+    throw new ExportParseError(
+      `Recipe "${recipe}" is not a v${NORMALIZATION_VERSION} hash recipe.`
+    );
+  }
+  const values = new Map(
+    pairs.map((pair) => {
+      const separator = pair.indexOf("=");
+      return separator === -1
+        ? [pair, ""]
+        : [pair.slice(0, separator), pair.slice(separator + 1)];
+    })
+  );
+  const readChoice = (key, choices, fallback) => {
+    const value = values.get(key) ?? fallback;
+    if (!choices.includes(value)) {
+      throw new ExportParseError(`Recipe has an unknown ${key} "${value}".`);
+    }
+    return value;
+  };
+  const readList = (key, choices) => {
+    const value = values.get(key) ?? "-";
+    const items = value === "-" || !value ? [] : value.split(",");
+    const unknown = items.find((item) => !choices.includes(item));
+    if (unknown) {
+      throw new ExportParseError(`Recipe has an unknown ${key} "${unknown}".`);
+    }
+    return choices.filter((choice) => items.includes(choice));
+  };
+  const readKey = () => {
+    const value = values.get("key") ?? "-";
+    if (value === "-") {
+      return { keying: "none", keySalt: "", keyId: "", key: null };
+    }
+    const [keying, keySalt = "", keyId = "", ...rest] = value.split(":");
+    if (
+      keying === "none" ||
+      !LEAF_KEYINGS.includes(keying) ||
+      rest.length ||
+      !/^(?:[0-9a-f]{32})?$/.test(keySalt) ||
+      !/^(?:[0-9a-f]{16})?$/.test(keyId) ||
+      (keyId && !keySalt)
+    ) {
+      throw new ExportParseError(`Recipe has an unknown key "${value}".`);
+    }
+    return { keying, keySalt, keyId, key: null };
+  };
+  const readRules = (key, fieldCount) => {
+    const value = values.get(key) ?? "-";
+    return value === "-" || !value
+      ? []
+      : value.split(",").map((rule) => {
+          const fields = rule.split(":");
+          if (fields.length !== fieldCount) {
+            throw new ExportParseError(
+              `Recipe has an unknown ${key} rule "${rule}".`
+            );
+          }
+          try {
+            return fields.map(decodeURIComponent);
+          } catch (error) {
+            throw new ExportParseError(
+              `Recipe has an unknown ${key} rule "${rule}".`
+            );
+          }
+        });
+  };
+  const rowFilters = readRules("rows", 4).map(
+    ([mode, column, operator, value]) => {
+      const rule = { mode, column, operator, value };
+      const problem = checkRowFilter(rule);
+      if (problem) {
+        throw new ExportParseError(`Recipe has a bad row filter: ${problem}`);
+      }
+      return rule;
+    }
+  );
+  const transforms = readRules("xform", 2).map(([column, transform]) => {
+    if (!FILTER_COLUMNS.includes(column) || !VALUE_TRANSFORMS[transform]) {
+      throw new ExportParseError(
+        `Recipe has an unknown transform "${column}:${transform}".`
+      );
+    }
+    return { column, transform };
+  });
+
+  return {
+    whitespace: readChoice(
+      "ws",
+      WHITESPACE_MODES,
+      DEFAULT_HASH_SETTINGS.whitespace
+    ),
+    caseFold: readList("fold", CASE_FOLD_COLUMNS),
+    url: readList("url", URL_RULES),
+    datePrecision: readChoice(
+      "date",
+      DATE_PRECISIONS,
+      DEFAULT_HASH_SETTINGS.datePrecision
+    ),
+    timezone: readChoice(
+      "tz",
+      TIMEZONE_ASSUMPTIONS,
+      DEFAULT_HASH_SETTINGS.timezone
+    ),
+    scheme: readChoice(
+      "tree",
+      Object.keys(MERKLE_SCHEMES),
+      DEFAULT_HASH_SETTINGS.scheme
+    ),
+    algorithm: readChoice(
+      "alg",
+      Object.keys(HASH_ALGORITHMS),
+      DEFAULT_HASH_SETTINGS.algorithm
+    ),
+    ...readKey(),
+    rowFilters,
+    transforms,
+  };
+}
+
+function checkRowFilter({ mode, column, operator, value }) {
+  if (!ROW_FILTER_MODES[mode]) {
+    return `unknown mode "${mode}".`;
+  }
+  if (!FILTER_COLUMNS.includes(column)) {
+    return `unknown column "${column}".`;
+  }
+  if (!ROW_FILTER_OPERATORS[operator]) {
+    return `unknown operator "${operator}".`;
+  }
+  if (!value) {
+    return "the value is empty.";
+  }
+  if (operator === "regex") {
+    try {
+      new RegExp(value, "u");
+    } catch (error) {
+      return `"${value}" is not a valid regular expression.`;
+    }
+  }
+  return "";
+}
+
+function describeRowFilter({ mode, column, operator, value }) {
+  return `${ROW_FILTER_MODES[mode]} rows where ${canonicalLabel(column)} ${
+    ROW_FILTER_OPERATORS[operator]
+  } "${value}"`;
+}
+
+function describeTransform({ column, transform }) {
+  return `${canonicalLabel(column)}: ${VALUE_TRANSFORMS[
+    transform
+  ].label.toLowerCase()}`;
+}
+
+function prepareEntries(
+  entries,
+  activeFields,
+  { rowFilters = [], transforms = [] } = DEFAULT_HASH_SETTINGS
+) {
+  if (!rowFilters.length && !transforms.length) {
+    return entries;
+  }
+  const headerFor = (column) =>
+    column === "group"
+      ? Object.keys(entries[0] ?? {}).find((header) =>
+          GROUP_COLUMNS.includes(toCanonical(header))
+        ) ?? null
+      : activeFields.find(
+          (field) => field.canonical === column && field.headerName
+        )?.headerName ?? null;
+  const filters = rowFilters.map((rule) => ({
+    ...rule,
+    header: headerFor(rule.column),
+    pattern: rule.operator === "regex" ? new RegExp(rule.value, "u") : null,
+  }));
+  const includes = filters.filter((rule) => rule.mode === "include");
+  const excludes = filters.filter((rule) => rule.mode === "exclude");
+  const steps = transforms
+    .map(({ column, transform }) => ({
+      header: headerFor(column),
+      apply: VALUE_TRANSFORMS[transform].apply,
+    }))
+    .filter((step) => step.header);
+
+  return entries
+    .filter(
+      (entry) =>
+        (!includes.length ||
+          includes.some((rule) => matchesRowFilter(entry, rule))) &&
+        !excludes.some((rule) => matchesRowFilter(entry, rule))
+    )
+    .map((entry) =>
+      steps.reduce(
+        (result, { header, apply }) => ({
+          ...result,
+          [header]: apply(String(result[header] ?? "")),
+        }),
+        entry
+      )
+    );
+}
+
+function matchesRowFilter(entry, { header, operator, value, pattern }) {
+  if (!header) {
+    return false;
+  }
+  const text = String(entry[header] ?? "").trim();
+  if (operator === "equals") {
+    return text === value;
+  }
+  if (operator === "contains") {
+    return text.includes(value);
+  }
+  if (operator === "regex") {
+    return pattern.test(text);
+  }
+  return text === value || text.startsWith(`${value}/`);
+}
+
+function toCanonical(value) {
+  return (value || "").trim().toLowerCase();
+}
+
+async function checkBreachedPasswords(records, index) {
+  const ranges = new Map();
+  const breached = [];
+  let checked = 0;
+
+  const checkRecord = async ({ hash, values, rawPassword }) => {
+    if (!rawPassword) {
+      return;
+    }
+    checked += 1;
+    const digest = (await sha1Hex(rawPassword)).toUpperCase();
+    const prefix = digest.slice(0, RANGE_PREFIX_LENGTH);
+    if (!ranges.has(prefix)) {
+      ranges.set(prefix, index.lookupRange(prefix));
+    }
+    const count = (await ranges.get(prefix)).get(
+      digest.slice(RANGE_PREFIX_LENGTH)
+    );
+    if (count) {
+      breached.push({
+        hash,
+        title: values.title ?? "",
+        username: values.username ?? "",
+        count,
+      });
+    }
+  };
+
+  for (let start = 0; start < records.length; start += HASH_BATCH_SIZE) {
+    await Promise.all(
+      records.slice(start, start + HASH_BATCH_SIZE).map(checkRecord)
+    );
+  }
+
+  return {
+    checked,
+    breached: breached.sort((a, b) => b.count - a.count),
+  };
+}
+
+function parseHashRange(text, prefix) {
+  const range = new Map();
+  text.split("\n").forEach((rawLine) => {
+    const match = rawLine.trim().match(/^([0-9a-f]{35}|[0-9a-f]{40}):(\d+)$/i);
+    if (!match) {
+      return;
+    }
+    let suffix = match[1].toUpperCase();
+    if (suffix.length === 40) {
+      if (!suffix.startsWith(prefix)) {
+        return;
+      }
+      suffix = suffix.slice(RANGE_PREFIX_LENGTH);
+    }
+    range.set(suffix, Number(match[2]));
+  });
+  return range;
+}
+
+async function sha1Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-1",
+    new TextEncoder().encode(text)
+  );
+  return bytesToHex(new Uint8Array(digest));
+}
+
+async function sha256Hex(text) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(text);
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+async function buildMerkleTree(
+  leaves,
+  {
+    scheme = "v1",
+    algorithm = "sha256",
+    isCurrent = () => true,
+    onProgress = null,
+  } = {}
+) {
+  if (!leaves.length) {
+    return null;
+  }
+
+  let currentLevel = leaves.map((leaf) => ({
+    hash: leaf.hash,
+    title: leaf.title,
+    isDuplicate: false,
+  }));
+
+  const levels = [];
+  const totalParents = Math.max(leaves.length - 1, 1);
+  let builtParents = 0;
+
+  while (true) {
+    const workingLevel = currentLevel.map((node) => ({ ...node }));
+    if (
+      MERKLE_SCHEMES[scheme].oddNodes === "duplicate-last" &&
+      workingLevel.length > 1 &&
+      workingLevel.length % 2 === 1
+    ) {
+      const last = workingLevel[workingLevel.length - 1];
+      workingLevel.push({
+        hash: last.hash,
+        title: last.title,
+        isDuplicate: true,
+      });
+    }
+
+    levels.push(workingLevel);
+
+    if (workingLevel.length === 1) {
+      return { levels, root: workingLevel[0].hash, scheme, algorithm };
+    }
+
+    const nextLevel = [];
+    for (let i = 0; i < workingLevel.length; i += HASH_BATCH_SIZE * 2) {
+      if (!isCurrent()) {
+        return null;
+      }
+      const pairs = [];
+      const batchEnd = Math.min(i + HASH_BATCH_SIZE * 2, workingLevel.length);
+      for (let j = i; j < batchEnd; j += 2) {
+        pairs.push([workingLevel[j], workingLevel[j + 1]]);
+      }
+      const parentHashes = await Promise.all(
+        pairs.map(([left, right]) =>
+          right
+            ? hashNodePair(left.hash, right.hash, { scheme, algorithm })
+            : null
+        )
+      );
+      parentHashes.forEach((parentHash, index) => {
+        if (parentHash) {
+          nextLevel.push({ hash: parentHash, title: null, isDuplicate: false });
+          builtParents += 1;
+        } else {
+          nextLevel.push({
+            hash: pairs[index][0].hash,
+            title: null,
+            isDuplicate: false,
+            isPromoted: true,
+          });
+        }
+      });
+      onProgress?.({
+        phase: "tree",
+        done: Math.min(builtParents, totalParents),
+        total: totalParents,
+      });
+    }
+
+    currentLevel = nextLevel;
+  }
+}
+
+function buildInclusionProof(treeData, leafIndex, metadata = {}) {
+  const { levels, root } = treeData;
+  const leaf = levels[0]?.[leafIndex];
+  if (!leaf || leaf.isDuplicate) {
+    throw new Error(`No entry at leaf index ${leafIndex}`);
+  }
+
+  const scheme = treeData.scheme ?? "v1";
+  const algorithm = treeData.algorithm ?? "sha256";
+  const path = [];
+  let index = leafIndex;
+  for (let level = 0; level < levels.length - 1; level += 1) {
+    const isRightChild = index % 2 === 1;
+    const sibling = levels[level][isRightChild ? index - 1 : index + 1];
+    if (!sibling) {
+      index = Math.floor(index / 2);
+      continue;
+    }
+    path.push({
+      hash: sibling.hash,
+      position: isRightChild ? "left" : "right",
+      duplicate: Boolean(sibling.isDuplicate),
+    });
+    index = Math.floor(index / 2);
+  }
+
+  return {
+    type: PROOF_TYPE,
+    version: 1,
+    scheme,
+    algorithm,
+    ...MERKLE_SCHEMES[scheme],
+    recipe: metadata.recipe ?? "",
+    columns: metadata.columns ?? [],
+    leafCount: levels[0].filter((node) => !node.isDuplicate).length,
+    leaf: { index: leafIndex, hash: leaf.hash },
+    path,
+    root,
+  };
+}
+
+async function verifyInclusionProof(proof, expectedRoot) {
+  if (proof?.type !== PROOF_TYPE || proof.version !== 1) {
+    return { valid: false, reason: "not an xc-diff inclusion proof." };
+  }
+  if (!Array.isArray(proof.path) || !proof.leaf?.hash) {
+    return { valid: false, reason: "the proof is missing its leaf or path." };
+  }
+
+  const scheme = proof.scheme ?? "v1";
+  if (!MERKLE_SCHEMES[scheme]) {
+    return { valid: false, reason: `unknown hashing scheme "${scheme}".` };
+  }
+  const algorithm = proof.algorithm ?? "sha256";
+  if (!HASH_ALGORITHMS[algorithm]) {
+    return { valid: false, reason: `unknown hash algorithm "${algorithm}".` };
+  }
+
+  const { leafCount } = proof;
+  const leafIndex = proof.leaf.index;
+  if (
+    !Number.isInteger(leafCount) ||
+    !Number.isInteger(leafIndex) ||
+    leafIndex < 0 ||
+    leafIndex >= leafCount
+  ) {
+    return { valid: false, reason: "the leaf index is outside the tree." };
+  }
+  const duplicatesLast = MERKLE_SCHEMES[scheme].oddNodes === "duplicate-last";
+  const positions = [];
+  for (
+    let index = leafIndex, width = leafCount;
+    width > 1;
+    index = Math.floor(index / 2), width = Math.ceil(width / 2)
+  ) {
+    if (index % 2 === 1) {
+      positions.push("left");
+    } else if (index + 1 < width || duplicatesLast) {
+      positions.push("right");
+    }
+  }
+  if (
+    positions.length !== proof.path.length ||
+    proof.path.some((step, level) => step.position !== positions[level])
+  ) {
+    return {
+      valid: false,
+      reason: `the path does not start at leaf index ${leafIndex}.`,
+    };
+  }
+
+  let current = proof.leaf.hash.toLowerCase();
+  for (const step of proof.path) {
+    const sibling = String(step.hash ?? "").toLowerCase();
+    if (
+      step.duplicate &&
+      MERKLE_SCHEMES[scheme].oddNodes !== "duplicate-last"
+    ) {
+      return {
+        valid: false,
+        reason: `scheme ${scheme} never duplicates nodes.`,
+      };
+    }
+    if (step.duplicate && sibling !== current) {
+      return {
+        valid: false,
+        reason: "a duplicated node does not match the node it duplicates.",
+      };
+    }
+    if (step.position === "left") {
+      current = await hashNodePair(sibling, current, { scheme, algorithm });
+    } else if (step.position === "right") {
+      current = await hashNodePair(current, sibling, { scheme, algorithm });
+    } else {
+      return {
+        valid: false,
+        reason: `unknown sibling position "${step.position}".`,
+      };
+    }
+  }
+
+  if (current !== expectedRoot.toLowerCase()) {
+    return {
+      valid: false,
+      reason: `the proof resolves to ${current.slice(
+        0,
+        7
+      )}, not the expected root.`,
+    };
+  }
+  return { valid: true, computedRoot: current };
+}
+
+async function hashLeaf(
+  normalizedEntry,
+  selectedCanonical,
+  { scheme = "v1", algorithm = "sha256", key = null } = {}
+) {
+  const encoded =
+    scheme === "v1"
+      ? new TextEncoder().encode(
+          buildHashInput(normalizedEntry, selectedCanonical)
+        )
+      : concatBytes([
+          Uint8Array.of(0),
+          encodeLeafFields(normalizedEntry, selectedCanonical),
+        ]);
+  return bytesToHex(
+    key
+      ? await hmacBytes(key, encoded, algorithm)
+      : await digestBytes(encoded, algorithm)
+  );
+}
+
+function encodeLeafFields(normalizedEntry, selectedCanonical) {
+  const encoder = new TextEncoder();
+  return concatBytes(
+    selectedCanonical.flatMap((field) => {
+      const value = encoder.encode(normalizedEntry[field] ?? "");
+      const length = new Uint8Array(4);
+      new DataView(length.buffer).setUint32(0, value.length);
+      return [length, value];
+    })
+  );
+}
+
+async function hashNodePair(
+  leftHex,
+  rightHex,
+  { scheme = "v1", algorithm = "sha256" } = {}
+) {
+  if (scheme === "v1") {
+    const first = await digestBytes(
+      concatBytes([hexToBytes(leftHex), hexToBytes(rightHex)]),
+      algorithm
+    );
+    return bytesToHex(await digestBytes(first, algorithm));
+  }
+  return bytesToHex(
+    await digestBytes(
+      concatBytes([
+        Uint8Array.of(1),
+        hexToBytes(leftHex),
+        hexToBytes(rightHex),
+      ]),
+      algorithm
+    )
+  );
+}
+
+async function digestBytes(bytes, algorithm = "sha256") {
+  const { subtle, digest } = HASH_ALGORITHMS[algorithm];
+  return subtle
+    ? new Uint8Array(await crypto.subtle.digest(subtle, bytes))
+    : digest(bytes);
+}
+
+async function hmacBytes(key, bytes, algorithm = "sha256") {
+  const { subtle, blockSize } = HASH_ALGORITHMS[algorithm];
+  if (subtle) {
+    const cryptoKey = await crypto.subtle.importKey(
+      "raw",
+      key,
+      { name: "HMAC", hash: subtle },
+      false,
+      ["sign"]
+    );
+    return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, bytes));
+  }
+  const block = new Uint8Array(blockSize);
+  block.set(key.length > blockSize ? await digestBytes(key, algorithm) : key);
+  const inner = await digestBytes(
+    concatBytes([block.map((byte) => byte ^ 0x36), bytes]),
+    algorithm
+  );
+  return digestBytes(
+    concatBytes([block.map((byte) => byte ^ 0x5c), inner]),
+    algorithm
+  );
+}
+
+async function deriveLeafKey(secret, keying, keySalt = "") {
+  const encoder = new TextEncoder();
+  const salt = keySalt
+    ? hexToBytes(keySalt)
+    : crypto.getRandomValues(new Uint8Array(LEAF_KEY_SALT_BYTES));
+  const secretBytes = encoder.encode(secret);
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    secretBytes,
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const stretched = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        salt,
+        iterations: LEAF_KEY_ITERATIONS,
+      },
+      baseKey,
+      512
+    )
+  );
+  const check = await hmacBytes(
+    stretched.slice(32),
+    encoder.encode(LEAF_KEY_CHECK)
+  );
+  return {
+    keying,
+    keySalt: bytesToHex(salt),
+    keyId: bytesToHex(check.slice(0, 8)),
+    key: keying === "pbkdf2" ? stretched.slice(0, 32) : secretBytes,
+  };
+}
+
+function concatBytes(parts) {
+  const combined = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let offset = 0;
+  parts.forEach((part) => {
+    combined.set(part, offset);
+    offset += part.length;
+  });
+  return combined;
+}
+
+function hexToBytes(hex) {
+  if (!hex) {
+    return new Uint8Array();
+  }
+  const normalized = hex.length % 2 === 0 ? hex : `0${hex}`;
+  const bytes = new Uint8Array(normalized.length / 2);
+  for (let i = 0; i < normalized.length; i += 2) {
+    bytes[i / 2] = parseInt(normalized.slice(i, i + 2), 16);
+  }
+  return bytes;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function canonicalLabel(canonical) {
+  return (
+    FIELD_CONFIG.find((field) => field.canonical === canonical)?.label ??
+    CANONICAL_LABELS[canonical] ??
+    canonical
+  );
+}
+
+function sortRecentSnapshots(records) {
+  return [...records].sort((left, right) =>
+    right.savedAt.localeCompare(left.savedAt)
+  );
+}
+
+function formatTimestamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? "an unknown date"
+    : date.toLocaleString();
+}
+
+function buildSnapshotManifest({
+  root,
+  leaves,
+  columns,
+  source,
+  format,
+  recipe,
+}) {
+  return {
+    type: SNAPSHOT_TYPE,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    source: source || "",
+    format: format || "",
+    normalizationVersion: NORMALIZATION_VERSION,
+    recipe: recipe || formatHashRecipe(),
+    columns: [...columns],
+    entryCount: leaves.length,
+    root,
+    leaves: [...leaves],
+  };
+}
+
+function parseSnapshotManifest(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed.startsWith("{")) {
+    return null;
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (error) {
+    return null;
+  }
+  if (data?.type !== SNAPSHOT_TYPE) {
+    return null;
+  }
+  if (
+    data.version !== 1 ||
+    !Array.isArray(data.leaves) ||
+    !Array.isArray(data.columns) ||
+    (data.recipe !== undefined && typeof data.recipe !== "string") ||
+    !data.leaves.every((hash) => /^(?:[0-9a-f]{64}){1,2}$/.test(hash))
+  ) {
+    throw new ExportParseError("That snapshot manifest is malformed.");
+  }
+  return data;
+}
+
+async function buildSnapshotTree(manifest) {
+  const { scheme, algorithm } = parseHashRecipe(
+    manifest.recipe ?? formatHashRecipe(),
+    { allowOlder: true }
+  );
+  const tree = await buildMerkleTree(
+    manifest.leaves.map((hash) => ({ hash, title: null })),
+    { scheme, algorithm }
+  );
+  if (!tree || tree.root !== manifest.root) {
+    throw new ExportParseError(
+      "The snapshot's leaf hashes do not produce its recorded root."
+    );
+  }
+  return tree;
+}
+
+async function generateSigningKey(algorithm) {
+  const spec = SIGNATURE_ALGORITHMS[algorithm];
+  const pair = await crypto.subtle.generateKey(spec.keyParams, true, [
+    "sign",
+    "verify",
+  ]);
+  return {
+    type: SIGNING_KEY_TYPE,
+    algorithm,
+    privateKey: await crypto.subtle.exportKey("jwk", pair.privateKey),
+    publicKey: await crypto.subtle.exportKey("jwk", pair.publicKey),
+  };
+}
+
+async function importSigningKey(keyFile) {
+  const privateJwk =
+    keyFile?.type === SIGNING_KEY_TYPE ? keyFile.privateKey : keyFile;
+  const algorithm = signatureAlgorithmForJwk(privateJwk);
+  if (!algorithm || !privateJwk.d) {
+    throw new Error("Unsupported signing key");
+  }
+  const publicKey = publicJwk(privateJwk);
+  const privateKey = await crypto.subtle.importKey(
+    "jwk",
+    privateJwk,
+    SIGNATURE_ALGORITHMS[algorithm].keyParams,
+    false,
+    ["sign"]
+  );
+  return {
+    algorithm,
+    privateKey,
+    publicKey,
+    fingerprint: await jwkThumbprint(publicKey),
+  };
+}
+
+function signatureAlgorithmForJwk(jwk) {
+  if (jwk?.kty === "OKP" && jwk.crv === "Ed25519") {
+    return "Ed25519";
+  }
+  if (jwk?.kty === "EC" && jwk.crv === "P-256") {
+    return "ECDSA-P256";
+  }
+  return null;
+}
+
+function publicJwk(jwk) {
+  const members =
+    jwk.kty === "EC" ? ["crv", "kty", "x", "y"] : ["crv", "kty", "x"];
+  const result = {};
+  members.forEach((member) => {
+    result[member] = jwk[member];
+  });
+  return result;
+}
+
+async function jwkThumbprint(jwk) {
+  return sha256Hex(JSON.stringify(publicJwk(jwk)));
+}
+
+async function signSnapshotManifest(manifest, signingKey) {
+  const { signature, ...unsigned } = manifest;
+  const data = new TextEncoder().encode(canonicalJson(unsigned));
+  const value = await crypto.subtle.sign(
+    SIGNATURE_ALGORITHMS[signingKey.algorithm].signParams,
+    signingKey.privateKey,
+    data
+  );
+  return {
+    ...unsigned,
+    signature: {
+      algorithm: signingKey.algorithm,
+      publicKey: signingKey.publicKey,
+      value: bytesToBase64(new Uint8Array(value)),
+    },
+  };
+}
+
+async function verifySnapshotManifest(manifest) {
+  const { signature, ...unsigned } = manifest;
+  if (!signature) {
+    return { signed: false };
+  }
+
+  const spec = SIGNATURE_ALGORITHMS[signature.algorithm];
+  if (
+    !spec ||
+    signatureAlgorithmForJwk(signature.publicKey) !== signature.algorithm
+  ) {
+    return { signed: true, valid: false, algorithm: signature.algorithm };
+  }
+
+  try {
+    const publicKey = await crypto.subtle.importKey(
+      "jwk",
+      publicJwk(signature.publicKey),
+      spec.keyParams,
+      false,
+      ["verify"]
+    );
+    const valid = await crypto.subtle.verify(
+      spec.signParams,
+      publicKey,
+      base64ToBytes(signature.value),
+      new TextEncoder().encode(canonicalJson(unsigned))
+    );
+    return {
+      signed: true,
+      valid,
+      algorithm: signature.algorithm,
+      fingerprint: await jwkThumbprint(signature.publicKey),
+    };
+  } catch (error) {
+    console.error(error);
+    return { signed: true, valid: false, algorithm: signature.algorithm };
+  }
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const members = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text || ""), (char) => char.charCodeAt(0));
+}
+
+function buildComparisonReport(
+  datasets,
+  { generatedAt = new Date().toISOString() } = {}
+) {
+  const [left, right] = datasets;
+  const { leftNodes, rightNodes, extraCopies } = diffLeafMultisets(
+    left.leaves,
+    right.leaves
+  );
+  const differing = (dataset, nodes) =>
+    dataset.leaves
+      .filter((_leaf, index) => nodes.has(nodeKey(0, index)))
+      .map(({ hash, title }) => ({
+        dataset: dataset.label,
+        title: title || "",
+        hash,
+      }));
+
+  return {
+    type: REPORT_TYPE,
+    version: 1,
+    generatedAt,
+    result: left.root === right.root ? "match" : "mismatch",
+    datasets: [
+      [left, leftNodes],
+      [right, rightNodes],
+    ].map(([dataset, nodes]) => ({
+      label: dataset.label,
+      source: dataset.source || "",
+      root: dataset.root,
+      recipe: dataset.recipe,
+      columns: [...dataset.columns],
+      entries: dataset.leaves.length,
+      onlyHere: nodes.size,
+    })),
+    counts: {
+      shared: left.leaves.length - leftNodes.size,
+      extraCopies,
+    },
+    differences: [
+      ...differing(left, leftNodes),
+      ...differing(right, rightNodes),
+    ],
+  };
+}
+
+function formatComparisonReport(report, format) {
+  if (format === "json") {
+    return JSON.stringify(report, null, 2);
+  }
+
+  const datasetTable = [
+    ["Dataset", "Source", "Entries", "Only here", "Root", "Recipe", "Columns"],
+    ...report.datasets.map((dataset) => [
+      dataset.label,
+      dataset.source,
+      String(dataset.entries),
+      String(dataset.onlyHere),
+      dataset.root,
+      dataset.recipe,
+      dataset.columns.join(", "),
+    ]),
+  ];
+  const differenceTable = [
+    ["Dataset", "Title", "Leaf"],
+    ...report.differences.map(({ dataset, title, hash }) => [
+      dataset,
+      title,
+      hash,
+    ]),
+  ];
+  const facts = [
+    ["Generated", report.generatedAt],
+    ["Result", report.result],
+    ["Shared entries", String(report.counts.shared)],
+    ["Extra duplicate copies", String(report.counts.extraCopies)],
+  ];
+
+  if (format === "csv") {
+    return [facts, datasetTable, differenceTable]
+      .map((table) => table.map(formatCsvRow).join("\r\n"))
+      .join("\r\n\r\n");
+  }
+  if (format === "markdown") {
+    const escapeCell = (value) =>
+      value.replace(/\|/g, "\\|").replace(/\s*[\r\n]+\s*/g, " ");
+    const formatTable = ([headers, ...rows]) =>
+      [headers, headers.map(() => "---"), ...rows]
+        .map((row) => `| ${row.map(escapeCell).join(" | ")} |`)
+        .join("\n");
+    return [
+      "# xc-diff comparison report",
+      facts.map(([label, value]) => `- ${label}: ${value}`).join("\n"),
+      "## Datasets",
+      formatTable(datasetTable),
+      "## Differing entries",
+      report.differences.length
+        ? formatTable(differenceTable)
+        : "Every leaf is present in both datasets.",
+    ].join("\n\n");
+  }
+
+  const formatTable = ([headers, ...rows]) =>
+    `<table><thead><tr>${headers
+      .map((header) => `<th>${escapeHtml(header)}</th>`)
+      .join("")}</tr></thead><tbody>${rows
+      .map(
+        (row) =>
+          `<tr>${row
+            .map((cell) => `<td>${escapeHtml(cell)}</td>`)
+            .join("")}</tr>`
+      )
+      .join("")}</tbody></table>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>xc-diff comparison report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 32px; color: #1f2933; }
+table { border-collapse: collapse; margin-bottom: 24px; font-size: 0.85rem; }
+th, td { border: 1px solid #cfd8e3; padding: 4px 8px; text-align: left; }
+td { font-family: ui-monospace, monospace; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>xc-diff comparison report</h1>
+<ul>${facts
+    .map(
+      ([label, value]) =>
+        `<li>${escapeHtml(label)}: <strong>${escapeHtml(value)}</strong></li>`
+    )
+    .join("")}</ul>
+<h2>Datasets</h2>
+${formatTable(datasetTable)}
+<h2>Differing entries</h2>
+${
+  report.differences.length
+    ? formatTable(differenceTable)
+    : "<p>Every leaf is present in both datasets.</p>"
+}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+function formatCsvRow(values) {
+  return values
+    .map((value) => {
+      const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function copyTextToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    return navigator.clipboard.writeText(text);
+  }
+
+  return new Promise((resolve, reject) => {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      const successful = document.execCommand("copy");
+      document.body.removeChild(textarea);
+      if (successful) {
+        resolve();
+      } else {
+        reject(new Error("Copy command failed"));
+      }
+    } catch (error) {
+      document.body.removeChild(textarea);
+      reject(error);
+    }
+  });
+}
+
+function parseExportText(text, fileName = "", { delimiter = "auto" } = {}) {
+  const source = text && text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const trimmed = (source || "").trimStart();
+  const extension = fileName.split(".").pop().toLowerCase();
+
+  if (extension === "xml" || trimmed.startsWith("<")) {
+    return { ...parseKeePassXml(source), source: "KeePass XML" };
+  }
+
+  if (extension === "json" || trimmed.startsWith("{")) {
+    return { ...parseBitwardenJson(source), source: "Bitwarden JSON" };
+  }
+
+  return { ...parseCsv(text, delimiter), source: "" };
+}
+
+function parseKeePassXml(text) {
+  let xmlDocument;
+  try {
+    xmlDocument = parseXml(text);
+  } catch (error) {
+    throw new ExportParseError(
+      `That XML file could not be parsed: ${error.message}`
+    );
+  }
+
+  const keePassFile = findChild(xmlDocument, "KeePassFile");
+  const rootGroup = findChild(findChild(keePassFile, "Root"), "Group");
+  if (!rootGroup) {
+    throw new ExportParseError("That XML file is not a KeePass 2.x export.");
+  }
+
+  const standardKeys = {
+    Title: "Title",
+    UserName: "Username",
+    Password: "Password",
+    URL: "URL",
+    Notes: "Notes",
+  };
+  const customHeaders = new Set();
+  const rows = [];
+
+  const visitGroup = (group, parentPath) => {
+    const name = childText(group, "Name");
+    const path = parentPath ? `${parentPath}/${name}` : name;
+
+    group.children.forEach((child) => {
+      if (child.name === "Group") {
+        visitGroup(child, path);
+        return;
+      }
+      if (child.name !== "Entry") {
+        return;
+      }
+
+      const row = { Group: path };
+      child.children
+        .filter((node) => node.name === "String")
+        .forEach((node) => {
+          const key = childText(node, "Key");
+          const header = standardKeys[key] ?? key;
+          if (!standardKeys[key]) {
+            customHeaders.add(header);
+          }
+          row[header] = childText(node, "Value");
+        });
+
+      const times = findChild(child, "Times");
+      row["Last Modified"] = readKeePassTime(
+        childText(times, "LastModificationTime")
+      );
+      row.Created = readKeePassTime(childText(times, "CreationTime"));
+      row.Attachments = child.children
+        .filter((node) => node.name === "Binary")
+        .map((node) => childText(node, "Key"))
+        .join(", ");
+      row.History = String(
+        findChild(child, "History")?.children.filter(
+          (node) => node.name === "Entry"
+        ).length ?? 0
+      );
+      rows.push(row);
+    });
+  };
+
+  visitGroup(rootGroup, "");
+
+  const headers = [
+    "Group",
+    ...Object.values(standardKeys),
+    "Last Modified",
+    "Created",
+    ...Array.from(customHeaders).sort((a, b) => a.localeCompare(b)),
+    "Attachments",
+    "History",
+  ];
+
+  return {
+    headers,
+    rows: rows.map((row) => {
+      const entry = {};
+      headers.forEach((header) => {
+        entry[header] = row[header] ?? "";
+      });
+      return entry;
+    }),
+  };
+}
+
+function readKeePassTime(value) {
+  if (!value) {
+    return "";
+  }
+  if (/^[A-Za-z0-9+/]{11}=$/.test(value)) {
+    const bytes = Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+    const seconds = new DataView(bytes.buffer).getBigInt64(0, true);
+    const unixSeconds = Number(seconds) - 62135596800;
+    return formatUtcIso(new Date(unixSeconds * 1000));
+  }
+  return value;
+}
+
+function parseBitwardenJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ExportParseError("That JSON file could not be parsed.");
+  }
+
+  if (data?.encrypted) {
+    throw new ExportParseError(
+      "Encrypted Bitwarden exports cannot be read. Export as unencrypted JSON instead."
+    );
+  }
+  if (!Array.isArray(data?.items)) {
+    throw new ExportParseError("That JSON file is not a Bitwarden export.");
+  }
+
+  const folderNames = new Map(
+    (data.folders ?? []).map((folder) => [folder.id, folder.name ?? ""])
+  );
+  const collectionNames = new Map(
+    (data.collections ?? []).map((collection) => [
+      collection.id,
+      collection.name ?? "",
+    ])
+  );
+  const itemTypes = { 1: "login", 2: "note", 3: "card", 4: "identity" };
+  const standardHeaders = [
+    "folder",
+    "favorite",
+    "type",
+    "name",
+    "notes",
+    "reprompt",
+    "login_uri",
+    "login_username",
+    "login_password",
+    "login_totp",
+    "revisionDate",
+    "creationDate",
+    "password_history",
+  ];
+  const reservedNames = new Set(
+    standardHeaders.map((header) => toCanonical(header))
+  );
+  const customHeaders = new Set();
+
+  const rows = data.items.map((item) => {
+    const folder =
+      folderNames.get(item.folderId) ??
+      (item.collectionIds ?? [])
+        .map((id) => collectionNames.get(id))
+        .filter(Boolean)
+        .join(", ");
+    const row = {
+      folder: folder ?? "",
+      favorite: item.favorite ? "1" : "",
+      type: itemTypes[item.type] ?? String(item.type ?? ""),
+      name: item.name ?? "",
+      notes: item.notes ?? "",
+      reprompt: String(item.reprompt ?? 0),
+      login_uri: (item.login?.uris ?? [])
+        .map((entry) => entry.uri)
+        .filter(Boolean)
+        .join(","),
+      login_username: item.login?.username ?? "",
+      login_password: item.login?.password ?? "",
+      login_totp: item.login?.totp ?? "",
+      revisionDate: item.revisionDate ?? "",
+      creationDate: item.creationDate ?? "",
+      password_history: String(item.passwordHistory?.length ?? 0),
+    };
+
+    (item.fields ?? []).forEach((field) => {
+      const name = field.name ?? "";
+      const header = reservedNames.has(toCanonical(name))
+        ? `field: ${name}`
+        : name;
+      customHeaders.add(header);
+      row[header] = field.value ?? "";
+    });
+    return row;
+  });
 
-    if (workingLevel.length === 1) {
-      return { levels, root: workingLevel[0].hash };
-    }
+  const headers = [
+    ...standardHeaders,
+    ...Array.from(customHeaders).sort((a, b) => a.localeCompare(b)),
+  ];
+
+  return {
+    headers,
+    rows: rows.map((row) => {
+      const entry = {};
+      headers.forEach((header) => {
+        entry[header] = row[header] ?? "";
+      });
+      return entry;
+    }),
+  };
+}
 
-    const nextLevel = [];
-    for (let i = 0; i < workingLevel.length; i += 2) {
-      const left = workingLevel[i];
-      const right = workingLevel[i + 1];
-      const parentHash = await doubleSha256Hex(left.hash, right.hash);
-      nextLevel.push({ hash: parentHash, title: null, isDuplicate: false });
+function parseXml(text) {
+  const documentNode = {
+    name: "#document",
+    attributes: {},
+    children: [],
+    text: "",
+  };
+  const stack = [documentNode];
+  const tokenPattern =
+    /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = tokenPattern.exec(text))) {
+    const [
+      ,
+      cdata,
+      closingName,
+      openingName,
+      attributeText,
+      selfClosing,
+      textContent,
+    ] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (current.name !== closingName) {
+        throw new Error(`unexpected </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = {
+        name: openingName,
+        attributes: parseXmlAttributes(attributeText),
+        children: [],
+        text: "",
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (textContent !== undefined) {
+      current.text += decodeXmlEntities(textContent);
     }
-
-    currentLevel = nextLevel;
   }
-}
 
-async function doubleSha256Hex(leftHex, rightHex) {
-  const leftBytes = hexToBytes(leftHex);
-  const rightBytes = hexToBytes(rightHex);
-  const combined = new Uint8Array(leftBytes.length + rightBytes.length);
-  combined.set(leftBytes);
-  combined.set(rightBytes, leftBytes.length);
-  const first = await crypto.subtle.digest("SHA-256", combined);
-  const second = await crypto.subtle.digest("SHA-256", first);
-  return bytesToHex(new Uint8Array(second));
+  if (stack.length !== 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+  return documentNode;
 }
 
-function hexToBytes(hex) {
-  if (!hex) {
-    return new Uint8Array();
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(text || ""))) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3] ?? "");
   }
-  const normalized = hex.length % 2 === 0 ? hex : `0${hex}`;
-  const bytes = new Uint8Array(normalized.length / 2);
-  for (let i = 0; i < normalized.length; i += 2) {
-    bytes[i / 2] = parseInt(normalized.slice(i, i + 2), 16);
-  }
-  return bytes;
+  return attributes;
 }
 
-function bytesToHex(bytes) {
-  return Array.from(bytes)
-    .map((byte) => byte.toString(16).padStart(2, "0"))
-    .join("");
+function decodeXmlEntities(text) {
+  const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const isHex = code[1].toLowerCase() === "x";
+      return String.fromCodePoint(
+        parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10)
+      );
+    }
+    return named[code] ?? entity;
+  });
 }
 
-async function copyTextToClipboard(text) {
-  if (navigator.clipboard?.writeText) {
-    return navigator.clipboard.writeText(text);
-  }
-
-  return new Promise((resolve, reject) => {
-    const textarea = document.createElement("textarea");
-    textarea.value = text;
-    textarea.style.position = "fixed";
-    textarea.style.opacity = "0";
-    document.body.appendChild(textarea);
-    textarea.select();
+function findChild(node, name) {
+  return node?.children.find((child) => child.name === name) ?? null;
+}
 
-    try {
-      const successful = document.execCommand("copy");
-      document.body.removeChild(textarea);
-      if (successful) {
-        resolve();
-      } else {
-        reject(new Error("Copy command failed"));
-      }
-    } catch (error) {
-      document.body.removeChild(textarea);
-      reject(error);
-    }
-  });
+function childText(node, name) {
+  return findChild(node, name)?.text ?? "";
 }
 
-function parseCsv(text) {
+function parseCsv(text, delimiter = "auto") {
   const source = text && text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter === "auto" ? sniffDelimiter(source) : delimiter;
+  const separatorChar = CSV_DELIMITERS[separator].char;
   const rows = [];
   let currentRow = [];
   let currentValue = "";
   let isInQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 0;
 
   const pushValue = () => {
     currentRow.push(currentValue);
@@ -781,45 +6073,49 @@ function parseCsv(text) {
   };
 
   const pushRowIfNeeded = () => {
-    const isEmptyRow =
-      currentRow.length === 1 && (currentRow[0] ?? "").length === 0;
-    if (isEmptyRow && rows.length === 0) {
-      currentRow = [];
-      return;
-    }
-
-    if (currentRow.length > 1 || (currentRow.length === 1 && currentRow[0] !== "")) {
-      rows.push(currentRow);
+    if (
+      currentRow.length > 1 ||
+      (currentRow.length === 1 && currentRow[0] !== "")
+    ) {
+      rows.push({ cells: currentRow, line: rowLine });
     }
     currentRow = [];
+    rowLine = line;
   };
 
-  for (let i = 0; i < source.length; i += 1) {
+  for (let i = 0; i < (source || "").length; i += 1) {
     const char = source[i];
     const nextChar = source[i + 1];
 
-    if (char === "\"" && nextChar === "\"") {
-      currentValue += "\"";
+    if (isInQuotes && char === '"' && nextChar === '"') {
+      currentValue += '"';
       i += 1;
       continue;
     }
 
-    if (char === "\"") {
+    if (char === '"') {
       isInQuotes = !isInQuotes;
+      quoteLine = line;
       continue;
     }
 
-    if (char === "," && !isInQuotes) {
+    if (char === separatorChar && !isInQuotes) {
       pushValue();
       continue;
     }
 
-    if ((char === "\n" || char === "\r") && !isInQuotes) {
-      pushValue();
-      if (char === "\r" && nextChar === "\n") {
+    if (char === "\n" || char === "\r") {
+      const isCrLf = char === "\r" && nextChar === "\n";
+      line += 1;
+      if (isInQuotes) {
+        currentValue += isCrLf ? "\r\n" : char;
+      } else {
+        pushValue();
+        pushRowIfNeeded();
+      }
+      if (isCrLf) {
         i += 1;
       }
-      pushRowIfNeeded();
       continue;
     }
 
@@ -827,48 +6123,284 @@ function parseCsv(text) {
   }
 
   pushValue();
-  if (currentRow.length) {
-    if (currentRow.length > 1 || (currentRow.length === 1 && currentRow[0] !== "")) {
-      rows.push(currentRow);
-    }
-  }
+  pushRowIfNeeded();
 
   if (!rows.length) {
-    return { headers: [], rows: [] };
+    return { headers: [], rows: [], delimiter: separator, diagnostics: [] };
   }
 
-  const headers = rows[0];
-  const dataRows = rows.slice(1).map((row) => {
+  const headers = rows[0].cells;
+  const diagnostics = [];
+  const dataRows = rows.slice(1).map(({ cells, line: startLine }) => {
+    if (cells.length !== headers.length) {
+      diagnostics.push({
+        line: startLine,
+        message: `${cells.length} ${
+          cells.length === 1 ? "cell" : "cells"
+        }, but the header has ${headers.length}.`,
+      });
+    }
     const entry = {};
     headers.forEach((header, index) => {
-      entry[header] = row[index] ?? "";
+      entry[header] = cells[index] ?? "";
     });
     return entry;
   });
+  if (isInQuotes) {
+    diagnostics.push({
+      line: quoteLine,
+      message:
+        "This quote is never closed, so the rest of the file was read as one cell.",
+    });
+  }
+
+  return { headers, rows: dataRows, delimiter: separator, diagnostics };
+}
+
+function sniffDelimiter(text) {
+  const sample = (text || "").slice(0, CSV_SNIFF_CHARS);
+  const lines = [];
+  let counts = {};
+  let isInQuotes = false;
+  for (const char of sample) {
+    if (char === '"') {
+      isInQuotes = !isInQuotes;
+    } else if (char === "\n" && !isInQuotes) {
+      lines.push(counts);
+      counts = {};
+    } else if (!isInQuotes) {
+      counts[char] = (counts[char] ?? 0) + 1;
+    }
+  }
+  if (!lines.length) {
+    lines.push(counts);
+  }
+
+  const [header, ...body] = lines;
+  let best = "comma";
+  let bestScore = [0, 0];
+  Object.entries(CSV_DELIMITERS).forEach(([id, { char }]) => {
+    const columns = header[char] ?? 0;
+    const consistent = body.filter((line) => (line[char] ?? 0) === columns);
+    const score = [consistent.length, columns];
+    if (
+      columns &&
+      (score[0] > bestScore[0] ||
+        (score[0] === bestScore[0] && score[1] > bestScore[1]))
+    ) {
+      best = id;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function decodeExportBytes(bytes, encoding = "auto") {
+  const detected = encoding === "auto" ? detectTextEncoding(bytes) : encoding;
+  if (encoding === "auto" && detected === "utf-8") {
+    try {
+      return {
+        text: new TextDecoder("utf-8", { fatal: true }).decode(bytes),
+        encoding: "utf-8",
+      };
+    } catch (error) {
+      return {
+        text: new TextDecoder("windows-1252").decode(bytes),
+        encoding: "windows-1252",
+      };
+    }
+  }
+  return { text: new TextDecoder(detected).decode(bytes), encoding: detected };
+}
 
-  return { headers, rows: dataRows };
+function detectTextEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return "utf-16le";
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return "utf-16be";
+  }
+  const sample = bytes.subarray(0, CSV_SNIFF_CHARS);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, index) => {
+    if (byte === 0) {
+      if (index % 2 === 0) {
+        evenZeros += 1;
+      } else {
+        oddZeros += 1;
+      }
+    }
+  });
+  if (oddZeros > sample.length / 4) {
+    return "utf-16le";
+  }
+  if (evenZeros > sample.length / 4) {
+    return "utf-16be";
+  }
+  return "utf-8";
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+function initializeApp() {
+  const panelTemplate = document.getElementById("panel-template");
+  const panelGrid = document.getElementById("panel-grid");
+  const createPanel = (key, label) => {
+    const panel = panelTemplate.content.firstElementChild.cloneNode(true);
+    panel.setAttribute("data-panel", key);
+    panel.querySelector("h1").textContent = label;
+    panelGrid.appendChild(panel);
+    return panel;
+  };
+
   const controllers = {};
-  document.querySelectorAll(".panel[data-panel]").forEach((panel) => {
-    const key = panel.getAttribute("data-panel") || "";
+  [
+    ["base", "Base"],
+    ["left", "Dataset A"],
+    ["right", "Dataset B"],
+  ].forEach(([key, label]) => {
+    const panel = createPanel(key, label);
+    panel.querySelector('[data-role="remove-panel"]').remove();
+    panel.classList.toggle("hidden", key !== "left");
     controllers[key] = new CsvPanel(panel);
   });
 
+  const baseController = controllers.base;
   const leftController = controllers.left;
   const rightController = controllers.right;
   const toggle = document.getElementById("dual-mode-toggle");
-  const panelGrid = document.getElementById("panel-grid");
+  const mergeToggle = document.getElementById("merge-mode-toggle");
+  const mergeModeControl = document.getElementById("merge-mode-control");
+  const addPanelControl = document.getElementById("add-panel-control");
+  const addPanelButton = document.getElementById("add-panel");
+  const reportExportControl = document.getElementById("report-export-control");
+  const reportFormatSelect = document.getElementById("report-format");
+  const exportReportButton = document.getElementById("export-report");
   const comparisonStatus = document.getElementById("comparison-status");
   const comparisonStatusText =
     comparisonStatus?.querySelector('[data-role="status-text"]') ?? null;
+  const comparisonStatusDetail =
+    comparisonStatus?.querySelector('[data-role="status-detail"]') ?? null;
+  const diffModeControl = document.getElementById("diff-mode-control");
+  const diffModeSelect = document.getElementById("diff-mode");
+  const hashSettingsRoot = document.getElementById("hash-settings");
+  const hashSettingsPanel = hashSettingsRoot
+    ? new HashSettingsPanel(hashSettingsRoot)
+    : null;
+  const signingRoot = document.getElementById("snapshot-signing");
+  const signingPanel = signingRoot ? new SigningKeyPanel(signingRoot) : null;
+  const verifierRoot = document.getElementById("proof-verifier");
+  if (verifierRoot) {
+    new ProofVerifier(verifierRoot);
+  }
+  const breachRoot = document.getElementById("breach-check");
+  const breachPanel = breachRoot
+    ? new BreachCheckPanel(breachRoot, Object.values(controllers))
+    : null;
+  const reportRoot = document.getElementById("comparison-report");
+  const comparisonReport = reportRoot ? new ComparisonReport(reportRoot) : null;
+  const driftRoot = document.getElementById("drift-report");
+  const driftReport = driftRoot ? new DriftReport(driftRoot) : null;
+  const mergeRoot = document.getElementById("merge-report");
+  const mergeReport = mergeRoot ? new MergeReport(mergeRoot) : null;
+  const matrixRoot = document.getElementById("presence-matrix");
+  const presenceMatrix = matrixRoot ? new PresenceMatrix(matrixRoot) : null;
+  const matchKey = () => {
+    const keyFields = comparisonReport?.getKeyFields() ?? [];
+    return keyFields.length ? keyFields : DEFAULT_MATCH_KEY;
+  };
+  const recentRoot = document.getElementById("recent-snapshots");
+  const recentPanel = recentRoot
+    ? new RecentSnapshotsPanel(recentRoot, Object.values(controllers))
+    : null;
+  let session = null;
+  let columnPreferences = {};
+  let savedPanels = {};
+  let nextPanelNumber = 2;
+  const extraPanelKeys = () =>
+    Object.keys(controllers).filter((key) => key.startsWith("extra-"));
+
+  const remember = (name, value) => {
+    session?.setPreference(name, value).catch((error) => {
+      console.error(error);
+    });
+  };
+
+  const rememberLayout = () => {
+    remember("layout", {
+      dualMode: toggle?.checked ?? false,
+      threeWay: mergeToggle?.checked ?? false,
+      diffMode: diffModeSelect?.value ?? "",
+    });
+  };
+
+  const panelDrafts = new Map();
+  const panelSaves = new Map();
+  const savePanel = async (key, controller) => {
+    if (!session) {
+      return;
+    }
+    try {
+      let id = null;
+      if (controller.getRootHash()) {
+        const manifest =
+          controller.getSnapshot() ?? controller.describeSnapshot();
+        const source = controller.getSource() ?? manifest;
+        const draft = panelDrafts.get(key);
+        const saved = await session.saveSnapshot(
+          manifest,
+          draft?.source === source ? draft.id : null
+        );
+        id = saved.id;
+        panelDrafts.set(key, {
+          source,
+          id: saved.created || draft?.id === id ? id : null,
+        });
+      }
+      if ((savedPanels[key] ?? null) !== id) {
+        savedPanels = { ...savedPanels, [key]: id };
+        await session.setPreference("panels", savedPanels);
+      }
+      await recentPanel?.refresh();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const rememberPanel = (key, controller) => {
+    const saving = (panelSaves.get(key) ?? Promise.resolve()).then(() =>
+      savePanel(key, controller)
+    );
+    panelSaves.set(key, saving);
+    return saving;
+  };
 
-  const setComparisonStatus = (state) => {
+  const haveSameColumns = (left, right) =>
+    left.getHashedColumns().join("|") === right.getHashedColumns().join("|");
+
+  const describeMismatch = (left, right) => {
+    if (left.getRecipe() !== right.getRecipe()) {
+      return "Hash recipes differ";
+    }
+    return haveSameColumns(left, right) ? "" : "Hashed columns differ";
+  };
+
+  const setComparisonStatus = (state, detail = "") => {
     if (!comparisonStatus || !comparisonStatusText) {
       return;
     }
-    comparisonStatus.classList.remove("match", "mismatch", "pending");
+    if (comparisonStatusDetail) {
+      comparisonStatusDetail.textContent = detail;
+      comparisonStatusDetail.classList.toggle("hidden", !detail);
+    }
+    comparisonStatus.classList.remove(
+      "match",
+      "mismatch",
+      "metadata",
+      "pending"
+    );
     if (state === "hidden") {
       comparisonStatus.classList.add("hidden");
       return;
@@ -884,81 +6416,532 @@ document.addEventListener("DOMContentLoaded", () => {
       comparisonStatusText.textContent = "Databases are not identical";
       return;
     }
+    if (state === "metadata") {
+      comparisonStatus.classList.add("metadata");
+      comparisonStatusText.textContent = "Content identical, metadata differs";
+      return;
+    }
+    if (state === "incompatible") {
+      comparisonStatus.classList.add("mismatch");
+      comparisonStatusText.textContent =
+        "Cannot compare roots built with different hash algorithms";
+      return;
+    }
+    if (state === "keys-differ") {
+      comparisonStatus.classList.add("mismatch");
+      comparisonStatusText.textContent =
+        "Cannot compare roots built with different secrets";
+      return;
+    }
     comparisonStatus.classList.add("pending");
-    comparisonStatusText.textContent = "Waiting for both hashes…";
+    comparisonStatusText.textContent = mergeToggle?.checked
+      ? "Waiting for all three hashes…"
+      : "Waiting for both hashes…";
   };
 
   setComparisonStatus("hidden");
 
+  const describeIncompatibility = (panels) => {
+    const algorithms = [
+      ...new Set(panels.map((panel) => panel.getAlgorithm()).filter(Boolean)),
+    ];
+    if (algorithms.length > 1) {
+      return [
+        "incompatible",
+        algorithms
+          .map((algorithm) => HASH_ALGORITHMS[algorithm].label)
+          .join(" vs "),
+      ];
+    }
+    const keyIds = [
+      ...new Set(
+        panels
+          .map((panel) => panel.getKeyId())
+          .filter((keyId) => keyId !== null)
+      ),
+    ];
+    if (keyIds.length > 1) {
+      return [
+        "keys-differ",
+        keyIds.map((keyId) => (keyId ? `key ${keyId}` : "no key")).join(" vs "),
+      ];
+    }
+    return null;
+  };
+
+  const handleMerge = () => {
+    const panels = [baseController, leftController, rightController];
+    const clearDifferences = () => {
+      panels.forEach((panel) => panel.setDifferences(new Set()));
+      mergeReport?.hide();
+    };
+    const problem = describeIncompatibility(panels);
+    if (problem) {
+      setComparisonStatus(...problem);
+      clearDifferences();
+      comparisonReport?.hide();
+      driftReport?.hide();
+      return;
+    }
+    comparisonReport?.update(leftController, rightController);
+    driftReport?.update(leftController, rightController, matchKey());
+    if (panels.some((panel) => !panel.getRootHash())) {
+      setComparisonStatus("pending");
+      clearDifferences();
+      return;
+    }
+    const mismatch =
+      describeMismatch(baseController, leftController) ||
+      describeMismatch(baseController, rightController);
+    if (mismatch) {
+      setComparisonStatus("mismatch", `${mismatch} from the base`);
+      clearDifferences();
+      return;
+    }
+
+    const withRecords = panels.every((panel) => panel.getRecords().length);
+    const keyFields = withRecords
+      ? matchKey().filter((canonical) =>
+          panels.every((panel) =>
+            panel
+              .getAvailableFields()
+              .some((field) => field.canonical === canonical)
+          )
+        )
+      : [];
+    const merge = buildThreeWayDiff(
+      ...panels.map((panel) =>
+        withRecords ? panel.getRecords() : panel.getHashes()
+      ),
+      { keyFields }
+    );
+    setComparisonStatus(
+      leftController.getRootHash() === rightController.getRootHash()
+        ? "match"
+        : "mismatch",
+      Object.entries(MERGE_CATEGORIES)
+        .filter(([category]) => merge.counts[category])
+        .map(
+          ([category, label]) =>
+            `${label}: ${merge.counts[category].toLocaleString()}`
+        )
+        .join(" · ") || "No changes since the base"
+    );
+    panels.forEach((panel, side) => {
+      panel.setDifferences(new Set(), new Set(), merge.nodes[side]);
+    });
+    mergeReport?.update(merge, keyFields);
+  };
+
+  const updateMatrix = () => {
+    if (!(toggle?.checked ?? false) || !extraPanelKeys().length) {
+      presenceMatrix?.hide();
+      return;
+    }
+    presenceMatrix?.update(
+      Object.values(controllers).filter(
+        (controller) => !controller.root.classList.contains("hidden")
+      ),
+      matchKey()
+    );
+  };
+
+  const exportComparisonReport = () => {
+    const format = reportFormatSelect?.value || "json";
+    const { extension, mimeType } = REPORT_FORMATS[format];
+    const report = buildComparisonReport(
+      [leftController, rightController].map((controller) => ({
+        label: controller.getLabel(),
+        source: controller.getFileName(),
+        root: controller.getRootHash(),
+        recipe: controller.getRecipe(),
+        columns: controller.getHashedColumns(),
+        leaves: controller.getHashes(),
+      }))
+    );
+    downloadFile(
+      `comparison-${report.datasets
+        .map(({ root }) => root.slice(0, 7))
+        .join("-")}.${extension}`,
+      formatComparisonReport(report, format),
+      mimeType
+    );
+  };
+
+  exportReportButton?.addEventListener("click", exportComparisonReport);
+
   const handleComparison = () => {
+    updateMatrix();
+    reportExportControl?.classList.add("hidden");
     const isDual = toggle?.checked ?? false;
     if (!isDual || !leftController || !rightController) {
       setComparisonStatus("hidden");
       leftController?.setDifferences(new Set());
       rightController?.setDifferences(new Set());
+      comparisonReport?.hide();
+      driftReport?.hide();
+      mergeReport?.hide();
+      return;
+    }
+    if (baseController && mergeToggle?.checked) {
+      handleMerge();
       return;
     }
+    mergeReport?.hide();
 
     const leftRoot = leftController.getRootHash?.();
     const rightRoot = rightController.getRootHash?.();
+    const leftContentRoot = leftController.getContentRoot();
+    const mismatchState =
+      leftContentRoot &&
+      leftContentRoot === rightController.getContentRoot() &&
+      leftController.getRecipe() === rightController.getRecipe()
+        ? "metadata"
+        : "mismatch";
+    const problem = describeIncompatibility([leftController, rightController]);
+    if (problem) {
+      setComparisonStatus(...problem);
+      leftController.setDifferences(new Set());
+      rightController.setDifferences(new Set());
+      comparisonReport?.hide();
+      driftReport?.hide();
+      return;
+    }
+    reportExportControl?.classList.toggle("hidden", !leftRoot || !rightRoot);
+
     if (!leftRoot || !rightRoot) {
       setComparisonStatus("pending");
     } else if (leftRoot === rightRoot) {
       setComparisonStatus("match");
     } else {
-      setComparisonStatus("mismatch");
+      setComparisonStatus(
+        mismatchState,
+        describeMismatch(leftController, rightController)
+      );
     }
 
-    const leftEntries = leftController.getHashes() || [];
-    const rightEntries = rightController.getHashes() || [];
-    const leftHashes = new Set(
-      leftEntries.map((entry) => entry.hash).filter((hash) => Boolean(hash))
-    );
-    const rightHashes = new Set(
-      rightEntries.map((entry) => entry.hash).filter((hash) => Boolean(hash))
+    if (diffModeSelect?.value === "descent") {
+      const descent = diffMerkleTrees(
+        leftController.getMerkleLevels(),
+        rightController.getMerkleLevels()
+      );
+      if (leftRoot && rightRoot) {
+        const visitedText = `Visited ${descent.visited.toLocaleString()} of ${descent.total.toLocaleString()} nodes`;
+        setComparisonStatus(
+          leftRoot === rightRoot ? "match" : mismatchState,
+          descent.leafIndexes.length
+            ? `${visitedText} · entries ${formatIndexRanges(
+                descent.leafIndexes
+              )}`
+            : visitedText
+        );
+      }
+      leftController.setDifferences(new Set(), descent.leftNodes);
+      rightController.setDifferences(new Set(), descent.rightNodes);
+      comparisonReport?.update(leftController, rightController);
+      driftReport?.update(leftController, rightController, matchKey());
+      return;
+    }
+
+    const multiset = diffLeafMultisets(
+      leftController.getHashes() || [],
+      rightController.getHashes() || []
     );
+    if (leftRoot && rightRoot && multiset.extraCopies) {
+      const copies = multiset.extraCopies;
+      setComparisonStatus(
+        "mismatch",
+        `${copies.toLocaleString()} extra duplicate ${
+          copies === 1 ? "copy" : "copies"
+        }`
+      );
+    }
 
-    const missingOnLeft = new Set();
-    rightEntries.forEach(({ hash }) => {
-      if (hash && !leftHashes.has(hash)) {
-        missingOnLeft.add(hash);
-      }
+    leftController.setDifferences(new Set(), multiset.leftNodes);
+    rightController.setDifferences(new Set(), multiset.rightNodes);
+    comparisonReport?.update(leftController, rightController);
+    driftReport?.update(leftController, rightController, matchKey());
+  };
+
+  hashSettingsPanel?.setChangeHandler((settings) => {
+    Object.values(controllers).forEach((controller) => {
+      controller.setHashSettings(settings);
     });
+    remember("recipe", formatHashRecipe(settings));
+  });
 
-    const missingOnRight = new Set();
-    leftEntries.forEach(({ hash }) => {
-      if (hash && !rightHashes.has(hash)) {
-        missingOnRight.add(hash);
-      }
+  const loadSavedSnapshot = async (controller, manifest) => {
+    const needsDual = controller !== leftController && !toggle?.checked;
+    const needsBase = controller === baseController && !mergeToggle?.checked;
+    if (toggle && needsDual) {
+      toggle.checked = true;
+    }
+    if (mergeToggle && needsBase) {
+      mergeToggle.checked = true;
+    }
+    if (needsDual || needsBase) {
+      updateMode(toggle?.checked ?? false);
+    }
+    try {
+      await controller.loadSnapshot(
+        manifest,
+        manifest.source || "saved snapshot"
+      );
+    } catch (error) {
+      console.error(error);
+      controller.setStatus(
+        error instanceof ExportParseError
+          ? error.message
+          : "Unable to load that saved snapshot.",
+        true
+      );
+    }
+  };
+
+  const forgetEverything = async () => {
+    columnPreferences = {};
+    savedPanels = {};
+    Object.values(controllers).forEach((controller) => {
+      controller.setColumnPreferences(columnPreferences);
+      controller.clearAll();
+    });
+    hashSettingsPanel?.applyRecipe(formatHashRecipe());
+    if (!session) {
+      return;
+    }
+    try {
+      await session.forget();
+      await recentPanel?.refresh();
+      recentPanel?.setStatus(
+        "Forgot every saved snapshot and setting in this browser."
+      );
+    } catch (error) {
+      console.error(error);
+      recentPanel?.setStatus("Unable to clear the saved snapshots.", true);
+    }
+  };
+
+  const registerController = (key, controller) => {
+    if (hashSettingsPanel) {
+      controller.setHashSettings(hashSettingsPanel.getSettings());
+    }
+    controller.setChangeHandler(() => {
+      handleComparison();
+      breachPanel?.checkPanel(controller);
+      rememberPanel(key, controller);
+    });
+    controller.setColumnsHandler((formatId, columns) => {
+      columnPreferences = { ...columnPreferences, [formatId]: columns };
+      Object.values(controllers).forEach((other) => {
+        other.setColumnPreferences(columnPreferences);
+      });
+      remember("columns", columnPreferences);
     });
+    controller.setForgetHandler(forgetEverything);
+    controller.setSnapshotSigner(() => signingPanel?.getKey() ?? null);
+  };
+
+  Object.entries(controllers).forEach(([key, controller]) => {
+    registerController(key, controller);
+  });
+  recentPanel?.setLoadHandler(loadSavedSnapshot);
+
+  const syncPanels = () => {
+    breachPanel?.setPanels(Object.values(controllers));
+    recentPanel?.setPanels(Object.values(controllers));
+  };
+
+  const addPanel = (key) => {
+    const number = Number(key.slice("extra-".length));
+    nextPanelNumber = Math.max(nextPanelNumber, number + 1);
+    const panel = createPanel(
+      key,
+      number < 26
+        ? `Dataset ${String.fromCharCode(65 + number)}`
+        : `Dataset ${number + 1}`
+    );
+    panel
+      .querySelector('[data-role="remove-panel"]')
+      .addEventListener("click", () => {
+        removePanel(key);
+      });
+
+    const controller = new CsvPanel(panel);
+    controller.setColumnPreferences(columnPreferences);
+    controllers[key] = controller;
+    registerController(key, controller);
+    syncPanels();
+    handleComparison();
+    return controller;
+  };
 
-    leftController.setDifferences(missingOnRight);
-    rightController.setDifferences(missingOnLeft);
+  const removePanel = (key) => {
+    const controller = controllers[key];
+    delete controllers[key];
+    controller.destroy();
+    const { [key]: _removed, ...remaining } = savedPanels;
+    savedPanels = remaining;
+    remember("panels", savedPanels);
+    syncPanels();
+    handleComparison();
   };
 
-  Object.values(controllers).forEach((controller) => {
-    controller.setChangeHandler(handleComparison);
+  addPanelButton?.addEventListener("click", () => {
+    addPanel(`extra-${nextPanelNumber}`);
   });
 
   const updateMode = (isDual) => {
     if (panelGrid) {
       panelGrid.classList.toggle("dual-mode", isDual);
     }
+    diffModeControl?.classList.toggle("hidden", !isDual);
+    mergeModeControl?.classList.toggle("hidden", !isDual);
+    addPanelControl?.classList.toggle("hidden", !isDual);
+    if (!isDual) {
+      extraPanelKeys().forEach(removePanel);
+    }
     if (rightController?.root) {
       rightController.root.classList.toggle("hidden", !isDual);
       if (!isDual) {
         rightController.clearAll();
       }
     }
+    const isThreeWay = isDual && (mergeToggle?.checked ?? false);
+    if (baseController?.root) {
+      baseController.root.classList.toggle("hidden", !isThreeWay);
+      if (!isThreeWay) {
+        baseController.clearAll();
+      }
+    }
     handleComparison();
+    rememberLayout();
   };
 
+  diffModeSelect?.addEventListener("change", () => {
+    handleComparison();
+    rememberLayout();
+  });
+
+  comparisonReport?.setKeyChangeHandler(handleComparison);
+
   if (toggle) {
     updateMode(toggle.checked);
     toggle.addEventListener("change", () => {
       updateMode(toggle.checked);
     });
+    mergeToggle?.addEventListener("change", () => {
+      updateMode(toggle.checked);
+    });
   } else {
     handleComparison();
   }
-});
+
+  const restoreSession = async () => {
+    try {
+      session = await SessionStore.open();
+    } catch (error) {
+      console.warn(error);
+      return;
+    }
+    try {
+      const [recipe, layout, columns, panels] = await Promise.all(
+        ["recipe", "layout", "columns", "panels"].map((name) =>
+          session.getPreference(name)
+        )
+      );
+      savedPanels = { ...panels, ...savedPanels };
+      if (recipe) {
+        hashSettingsPanel?.applyRecipe(recipe);
+      }
+      if (columns) {
+        columnPreferences = columns;
+        Object.values(controllers).forEach((controller) => {
+          controller.setColumnPreferences(columnPreferences);
+        });
+      }
+      if (layout) {
+        if (diffModeSelect && layout.diffMode) {
+          diffModeSelect.value = layout.diffMode;
+        }
+        if (mergeToggle) {
+          mergeToggle.checked = Boolean(layout.threeWay);
+        }
+        if (toggle) {
+          toggle.checked = layout.dualMode;
+          updateMode(layout.dualMode);
+        }
+      }
+      Object.keys(savedPanels)
+        .filter(
+          (key) =>
+            key.startsWith("extra-") && savedPanels[key] && !controllers[key]
+        )
+        .sort((left, right) =>
+          left.localeCompare(right, undefined, { numeric: true })
+        )
+        .forEach(addPanel);
+      for (const [key, controller] of Object.entries(controllers)) {
+        const id = panels?.[key];
+        const record = id ? await session.findSnapshot(id) : null;
+        if (controller.getRootHash()) {
+          await rememberPanel(key, controller);
+        } else if (record) {
+          await loadSavedSnapshot(controller, record.manifest);
+        }
+      }
+      await recentPanel?.setStore(session);
+    } catch (error) {
+      console.error(error);
+      recentPanel?.setStatus("Unable to restore the previous session.", true);
+    }
+  };
+
+  restoreSession();
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", initializeApp);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CSV_DELIMITERS,
+    DEFAULT_COLUMNS,
+    DEFAULT_MATCH_KEY,
+    DEFAULT_HASH_SETTINGS,
+    DRIFT_CATEGORIES,
+    FORMAT_PROFILES,
+    GENERIC_FORMAT,
+    MERGE_CATEGORIES,
+    REPORT_FORMATS,
+    TEXT_ENCODINGS,
+    ExportParseError,
+    buildActiveFields,
+    buildComparisonReport,
+    buildDriftReport,
+    buildFieldDiff,
+    buildInclusionProof,
+    buildMerkleTree,
+    buildSnapshotManifest,
+    buildSnapshotTree,
+    buildPresenceMatrix,
+    buildThreeWayDiff,
+    decodeExportBytes,
+    defaultSelectedFields,
+    deriveLeafKey,
+    detectFormat,
+    diffLeafMultisets,
+    diffMerkleTrees,
+    findFormatProfile,
+    formatComparisonReport,
+    formatHashRecipe,
+    groupRoots,
+    hashDataset,
+    nodeKey,
+    parseExportText,
+    parseHashRecipe,
+    parseSnapshotManifest,
+    verifyInclusionProof,
+    verifySnapshotManifest,
+  };
+}
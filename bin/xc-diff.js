@@ -0,0 +1,779 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+if (!globalThis.crypto?.subtle) {
+  globalThis.crypto = require("crypto").webcrypto;
+}
+
+const {
+  CSV_DELIMITERS,
+  DEFAULT_MATCH_KEY,
+  DEFAULT_HASH_SETTINGS,
+  DRIFT_CATEGORIES,
+  FORMAT_PROFILES,
+  MERGE_CATEGORIES,
+  REPORT_FORMATS,
+  ExportParseError,
+  TEXT_ENCODINGS,
+  buildActiveFields,
+  buildComparisonReport,
+  buildDriftReport,
+  buildFieldDiff,
+  buildPresenceMatrix,
+  buildSnapshotManifest,
+  buildSnapshotTree,
+  buildThreeWayDiff,
+  decodeExportBytes,
+  defaultSelectedFields,
+  deriveLeafKey,
+  detectFormat,
+  diffLeafMultisets,
+  findFormatProfile,
+  formatComparisonReport,
+  formatHashRecipe,
+  groupRoots,
+  hashDataset,
+  nodeKey,
+  parseExportText,
+  parseHashRecipe,
+  parseSnapshotManifest,
+  verifySnapshotManifest,
+} = require("../app.js");
+
+const FORMAT_IDS = ["auto", "generic", ...FORMAT_PROFILES.map(({ id }) => id)];
+const DELIMITER_IDS = ["auto", ...Object.keys(CSV_DELIMITERS)];
+const ENCODING_IDS = ["auto", ...Object.keys(TEXT_ENCODINGS)];
+
+const USAGE = `Usage: xc-diff [options] <export> [other-export...]
+
+Prints the Merkle root of one export, or compares two exports and exits
+with status 1 when their roots differ. Any export may be a snapshot
+manifest saved by the web UI or by --save-snapshot.
+
+With three or more exports, prints which datasets share a root and a
+presence matrix of the entries that are missing or different somewhere.
+
+With --base, classifies every change in the two exports against a common
+base and exits with status 1 when they conflict.
+
+Options:
+  --base <export>   Common base export or snapshot for a three-way comparison
+  --columns <list>  Comma-separated canonical columns to hash
+                    (default: title,username,password,last modified)
+  --format <id>     Column mapping profile (default: auto):
+                    ${FORMAT_IDS.join(", ")}
+  --delimiter <id>  CSV delimiter (default: auto): ${DELIMITER_IDS.slice(
+    1
+  ).join(", ")}
+  --encoding <id>   Text encoding (default: auto):
+                    ${ENCODING_IDS.slice(1).join(", ")}
+  --key <list>      Columns used to pair entries when listing differences
+                    (default: ${DEFAULT_MATCH_KEY.join(",")})
+  --recipe <recipe> Hash recipe copied from the web UI
+                    (default: ${formatHashRecipe()})
+  --secret-file <file>
+                    Read the shared secret for a keyed recipe (key=hmac or
+                    key=pbkdf2) from a file; XC_DIFF_SECRET also works
+  --save-snapshot <file>
+                    Write a hash-only snapshot manifest of a single export
+  --drift           Also report which export has the newer Last Modified
+                    timestamp for each entry that differs
+  --report <file>   Write a comparison report of two exports; the format
+                    follows the extension: .json, .csv, .md or .html
+  --json            Print the result as JSON
+  -h, --help        Show this help`;
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+  const options = {
+    columns: null,
+    format: "auto",
+    delimiter: "auto",
+    encoding: "auto",
+    key: DEFAULT_MATCH_KEY,
+    settings: DEFAULT_HASH_SETTINGS,
+    secretFile: null,
+    json: false,
+    saveSnapshot: null,
+    report: null,
+    drift: false,
+    base: null,
+    files: [],
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const readValue = () => {
+      const value = argv[i + 1];
+      if (value === undefined) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      i += 1;
+      return value;
+    };
+
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--columns") {
+      options.columns = splitList(readValue());
+    } else if (arg === "--format") {
+      options.format = readValue();
+    } else if (arg === "--delimiter") {
+      options.delimiter = readValue();
+    } else if (arg === "--encoding") {
+      options.encoding = readValue();
+    } else if (arg === "--key") {
+      options.key = splitList(readValue());
+    } else if (arg === "--recipe") {
+      const recipe = readValue();
+      try {
+        options.settings = parseHashRecipe(recipe);
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+    } else if (arg === "--secret-file") {
+      options.secretFile = readValue();
+    } else if (arg === "--base") {
+      options.base = readValue();
+    } else if (arg === "--save-snapshot") {
+      options.saveSnapshot = readValue();
+    } else if (arg === "--drift") {
+      options.drift = true;
+    } else if (arg === "--report") {
+      options.report = readValue();
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg.startsWith("-")) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.help) {
+    return options;
+  }
+  if (options.files.length < 1) {
+    throw new UsageError("Pass one export to hash or more exports to compare");
+  }
+  if (options.base && options.files.length !== 2) {
+    throw new UsageError("--base needs two exports to compare");
+  }
+  if (options.drift && (options.files.length !== 2 || options.base)) {
+    throw new UsageError("--drift needs exactly two exports to compare");
+  }
+  if (options.report && (options.files.length !== 2 || options.base)) {
+    throw new UsageError("--report needs exactly two exports to compare");
+  }
+  if (options.report && !reportFormat(options.report)) {
+    throw new UsageError(
+      `Cannot tell the report format of ${path.basename(options.report)}`
+    );
+  }
+  if (options.saveSnapshot && options.files.length !== 1) {
+    throw new UsageError("--save-snapshot takes a single export");
+  }
+  if (options.format !== "auto" && !findFormatProfile(options.format)) {
+    throw new UsageError(`Unknown format "${options.format}"`);
+  }
+  if (!DELIMITER_IDS.includes(options.delimiter)) {
+    throw new UsageError(`Unknown delimiter "${options.delimiter}"`);
+  }
+  if (!ENCODING_IDS.includes(options.encoding)) {
+    throw new UsageError(`Unknown encoding "${options.encoding}"`);
+  }
+  if (options.secretFile && options.settings.keying === "none") {
+    throw new UsageError("--secret-file needs a keyed --recipe");
+  }
+  return options;
+}
+
+async function applySecret(settings, secretFile) {
+  if (settings.keying === "none") {
+    return settings;
+  }
+  const secret = secretFile
+    ? fs.readFileSync(secretFile, "utf8").replace(/\r?\n$/, "")
+    : process.env.XC_DIFF_SECRET;
+  if (!secret) {
+    throw new UsageError(
+      "A keyed recipe needs --secret-file or the XC_DIFF_SECRET variable"
+    );
+  }
+  const derived = await deriveLeafKey(
+    secret,
+    settings.keying,
+    settings.keySalt
+  );
+  if (settings.keyId && derived.keyId !== settings.keyId) {
+    throw new ExportParseError(
+      `The secret has key check ${derived.keyId}, but the recipe expects ${settings.keyId}`
+    );
+  }
+  return { ...settings, ...derived };
+}
+
+function reportFormat(fileName) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return (
+    Object.keys(REPORT_FORMATS).find(
+      (format) => REPORT_FORMATS[format].extension === extension
+    ) ?? null
+  );
+}
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function loadExport(filePath, options) {
+  const fileName = path.basename(filePath);
+  const { text, encoding } = decodeExportBytes(
+    fs.readFileSync(filePath),
+    options.encoding
+  );
+  const manifest = parseSnapshotManifest(text);
+  if (manifest) {
+    return loadSnapshot(filePath, manifest);
+  }
+
+  const parsed = parseExportText(text, fileName, {
+    delimiter: options.delimiter,
+  });
+  const diagnostics = parsed.diagnostics ?? [];
+  diagnostics.forEach(({ line, message }) => {
+    console.error(`xc-diff: warning: ${fileName} line ${line}: ${message}`);
+  });
+  if (!parsed.headers.length || !parsed.rows.length) {
+    throw new ExportParseError(`${fileName} has no data rows`);
+  }
+
+  const profile =
+    options.format === "auto"
+      ? detectFormat(parsed.headers)
+      : findFormatProfile(options.format);
+  const activeFields = buildActiveFields(parsed.headers, profile);
+  const selectedFields = options.columns
+    ? selectColumns(activeFields, options.columns, fileName)
+    : defaultSelectedFields(activeFields);
+  if (!selectedFields.length) {
+    throw new ExportParseError(`${fileName} has none of the selected columns`);
+  }
+
+  const dataset = await hashDataset(parsed.rows, activeFields, selectedFields, {
+    settings: options.settings,
+  });
+  return {
+    file: filePath,
+    format: profile.id,
+    encoding,
+    delimiter: parsed.delimiter ?? null,
+    diagnostics,
+    entries: parsed.rows.length,
+    hashed: dataset.leaves.length,
+    columns: dataset.columns,
+    recipe: dataset.recipe,
+    root: dataset.tree.root,
+    contentRoot: dataset.contentRoot,
+    leaves: dataset.leaves.map(({ hash }) => hash),
+    titles: dataset.leaves.map(({ title }) => title),
+    records: dataset.records,
+  };
+}
+
+async function loadSnapshot(filePath, manifest) {
+  const fileName = path.basename(filePath);
+  await buildSnapshotTree(manifest);
+  const signature = await verifySnapshotManifest(manifest);
+  if (signature.signed && !signature.valid) {
+    throw new ExportParseError(
+      `The signature on ${fileName} does not match its contents`
+    );
+  }
+
+  return {
+    file: filePath,
+    format: "snapshot",
+    entries: manifest.entryCount,
+    columns: manifest.columns,
+    recipe: manifest.recipe ?? formatHashRecipe(),
+    root: manifest.root,
+    contentRoot: null,
+    signedBy: signature.signed ? signature.fingerprint : null,
+    leaves: manifest.leaves,
+    titles: manifest.leaves.map(() => null),
+    records: [],
+  };
+}
+
+function selectColumns(activeFields, columns, fileName) {
+  const available = activeFields.filter((field) => field.headerName);
+  const missing = columns.filter(
+    (canonical) => !available.some((field) => field.canonical === canonical)
+  );
+  if (missing.length) {
+    throw new ExportParseError(
+      `${fileName} has no ${missing
+        .map((name) => `"${name}"`)
+        .join(", ")} column`
+    );
+  }
+  return available.filter((field) => columns.includes(field.canonical));
+}
+
+function compareExports(left, right, keyFields) {
+  const contentMatch =
+    Boolean(left.contentRoot) &&
+    left.contentRoot === right.contentRoot &&
+    left.recipe === right.recipe;
+  if (!left.records.length || !right.records.length) {
+    const { leftNodes, rightNodes } = diffLeafMultisets(
+      left.leaves.map((hash) => ({ hash })),
+      right.leaves.map((hash) => ({ hash }))
+    );
+    const describeLeaf = (hash) => ({ key: [], hash });
+    return {
+      match: left.root === right.root,
+      contentMatch,
+      added: right.leaves
+        .filter((_hash, index) => rightNodes.has(nodeKey(0, index)))
+        .map(describeLeaf),
+      removed: left.leaves
+        .filter((_hash, index) => leftNodes.has(nodeKey(0, index)))
+        .map(describeLeaf),
+      modified: [],
+    };
+  }
+
+  const rightColumns = new Set(right.columns);
+  const diff = buildFieldDiff(left.records, right.records, {
+    keyFields,
+    compareFields: left.columns.filter((column) => rightColumns.has(column)),
+  });
+  const describe = (record) => ({
+    key: keyFields.map((canonical) =>
+      canonical === "password" ? "" : record.values[canonical] ?? ""
+    ),
+    hash: record.hash,
+  });
+
+  return {
+    match: left.root === right.root,
+    contentMatch,
+    added: diff.added.map(describe),
+    removed: diff.removed.map(describe),
+    modified: diff.modified.map(({ left: record, fields }) => ({
+      ...describe(record),
+      fields,
+    })),
+  };
+}
+
+function compareDrift(left, right, keyFields) {
+  const haveTimestamps = [left, right].every(
+    ({ records }) =>
+      records.length && records.some(({ values }) => values["last modified"])
+  );
+  if (!haveTimestamps) {
+    throw new ExportParseError(
+      "--drift needs two exports with a Last Modified column"
+    );
+  }
+  const rightColumns = new Set(right.columns);
+  const drift = buildDriftReport(left.records, right.records, {
+    keyFields,
+    compareFields: left.columns.filter((column) => rightColumns.has(column)),
+  });
+  const side = { left: "A", right: "B" };
+  return {
+    counts: drift.counts,
+    entries: drift.entries.map(
+      ({ category, newer, values, leftModified, rightModified, fields }) => ({
+        category,
+        newer: newer ? side[newer] : null,
+        key: keyFields.map((canonical) =>
+          canonical === "password" ? "" : values[canonical] ?? ""
+        ),
+        leftModified,
+        rightModified,
+        fields,
+      })
+    ),
+  };
+}
+
+function checkSameSetup(results, message) {
+  const describeSetup = ({ recipe, columns }) =>
+    `${recipe} ${columns.join(",")}`;
+  if (
+    results.some(
+      (result) => describeSetup(result) !== describeSetup(results[0])
+    )
+  ) {
+    throw new ExportParseError(message);
+  }
+}
+
+function compareWithBase(base, left, right, keyFields) {
+  const results = [base, left, right];
+  checkSameSetup(
+    results,
+    "Cannot compare against a base hashed with a different recipe or columns"
+  );
+
+  const withRecords = results.every((result) => result.records.length);
+  const mergeKey = withRecords ? keyFields : [];
+  const merge = buildThreeWayDiff(
+    ...results.map((result) =>
+      withRecords ? result.records : result.leaves.map((hash) => ({ hash }))
+    ),
+    { keyFields: mergeKey }
+  );
+  return {
+    match: left.root === right.root,
+    paired: withRecords,
+    counts: merge.counts,
+    changes: merge.changes.map(({ category, values, hash }) => ({
+      category,
+      key: values
+        ? mergeKey.map((canonical) =>
+            canonical === "password" ? "" : values[canonical] ?? ""
+          )
+        : [],
+      hash,
+    })),
+  };
+}
+
+function comparePresence(results, keyFields) {
+  checkSameSetup(
+    results,
+    "Cannot build a presence matrix from exports hashed with different recipes or columns"
+  );
+  const withRecords = results.every((result) => result.records.length);
+  const matrixKey = withRecords ? keyFields : [];
+  const matrix = buildPresenceMatrix(
+    results.map((result) =>
+      withRecords ? result.records : result.leaves.map((hash) => ({ hash }))
+    ),
+    { keyFields: matrixKey }
+  );
+  return {
+    match: new Set(results.map(({ root }) => root)).size === 1,
+    paired: withRecords,
+    roots: groupRoots(
+      results.map((result, index) => ({
+        label: datasetLabel(index),
+        root: result.root,
+      }))
+    ),
+    identical: matrix.identicalCount,
+    rows: matrix.rows.map(({ values, hash, cells }) => ({
+      key: values
+        ? matrixKey.map((canonical) =>
+            canonical === "password" ? "" : values[canonical] ?? ""
+          )
+        : [],
+      hash,
+      cells,
+    })),
+  };
+}
+
+function datasetLabel(index) {
+  return index < 26 ? String.fromCharCode(65 + index) : String(index + 1);
+}
+
+function checkCompatible(results) {
+  const algorithms = [
+    ...new Set(
+      results.map(
+        ({ recipe }) => parseHashRecipe(recipe, { allowOlder: true }).algorithm
+      )
+    ),
+  ];
+  if (algorithms.length > 1) {
+    throw new ExportParseError(
+      `Cannot compare roots built with different hash algorithms (${algorithms.join(
+        " vs "
+      )})`
+    );
+  }
+  const keyIds = [
+    ...new Set(
+      results.map(
+        ({ recipe }) =>
+          parseHashRecipe(recipe, { allowOlder: true }).keyId || "none"
+      )
+    ),
+  ];
+  if (keyIds.length > 1) {
+    throw new ExportParseError(
+      `Cannot compare roots built with different secrets (${keyIds.join(
+        " vs "
+      )})`
+    );
+  }
+}
+
+function summarizeExport(label, result) {
+  const lines = [
+    `${label}${result.file} (${result.entries} entries, ${result.format} format)`,
+    `  columns: ${result.columns.join(", ")}`,
+    `  recipe:  ${result.recipe}`,
+    `  root:    ${result.root}`,
+    `  prefix:  ${result.root.slice(0, 7)}`,
+  ];
+  if (result.contentRoot && result.contentRoot !== result.root) {
+    lines.push(`  content: ${result.contentRoot}`);
+  }
+  if (result.hashed !== undefined && result.hashed !== result.entries) {
+    lines.push(`  hashed:  ${result.hashed} entries after row filters`);
+  }
+  if (result.signedBy) {
+    lines.push(`  signed:  ${result.signedBy.slice(0, 16)}`);
+  }
+  return lines.join("\n");
+}
+
+function formatEntry({ key, hash }) {
+  return key.length ? `${key.join(" / ")} [${hash.slice(0, 7)}]` : hash;
+}
+
+async function main(argv) {
+  const options = parseArguments(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  options.settings = await applySecret(options.settings, options.secretFile);
+  const results = [];
+  for (const file of options.files) {
+    results.push(await loadExport(file, options));
+  }
+  const strip = ({ records, leaves, titles, ...rest }) => rest;
+
+  if (results.length === 1) {
+    const [result] = results;
+    if (options.saveSnapshot) {
+      const manifest = buildSnapshotManifest({
+        root: result.root,
+        leaves: result.leaves,
+        columns: result.columns,
+        source: path.basename(result.file),
+        format: result.format,
+        recipe: result.recipe,
+      });
+      fs.writeFileSync(options.saveSnapshot, JSON.stringify(manifest, null, 2));
+    }
+    console.log(
+      options.json
+        ? JSON.stringify(strip(result), null, 2)
+        : summarizeExport("", result)
+    );
+    return 0;
+  }
+
+  if (results.length > 2) {
+    checkCompatible(results);
+    const presence = comparePresence(results, options.key);
+    if (options.json) {
+      console.log(
+        JSON.stringify({ datasets: results.map(strip), ...presence }, null, 2)
+      );
+      return presence.match ? 0 : 1;
+    }
+
+    const lines = [
+      ...results.map((result, index) =>
+        summarizeExport(`${datasetLabel(index)}: `, result)
+      ),
+      "",
+      presence.match ? "Result: match" : "Result: mismatch",
+      "Roots:",
+      ...presence.roots.map(
+        ({ root, labels }) => `  ${root.slice(0, 7)}: ${labels.join(", ")}`
+      ),
+      `Same everywhere: ${presence.identical}`,
+    ];
+    if (!presence.paired) {
+      lines.push(
+        "A snapshot was given, so leaves are matched one by one and an edited entry shows up twice"
+      );
+    }
+    if (presence.rows.length) {
+      lines.push(`Missing or different (${presence.rows.length}):`);
+      presence.rows.forEach((row) => {
+        lines.push(
+          `  ${formatEntry(row)}: ${row.cells
+            .map((cell, index) => `${datasetLabel(index)} ${cell}`)
+            .join(", ")}`
+        );
+      });
+    }
+    console.log(lines.join("\n"));
+    return presence.match ? 0 : 1;
+  }
+
+  const [left, right] = results;
+  if (options.base) {
+    const base = await loadExport(options.base, options);
+    checkCompatible([base, left, right]);
+    const merge = compareWithBase(base, left, right, options.key);
+    const conflicted = merge.counts.conflict > 0;
+    if (options.json) {
+      console.log(
+        JSON.stringify(
+          {
+            base: strip(base),
+            left: strip(left),
+            right: strip(right),
+            ...merge,
+          },
+          null,
+          2
+        )
+      );
+      return conflicted ? 1 : 0;
+    }
+
+    const lines = [
+      summarizeExport("Base: ", base),
+      summarizeExport("A: ", left),
+      summarizeExport("B: ", right),
+      "",
+      merge.match ? "Result: match" : "Result: mismatch",
+      `Unchanged: ${merge.counts.unchanged}`,
+    ];
+    if (!merge.paired) {
+      lines.push(
+        "A snapshot was given, so leaves are compared one by one and conflicts cannot be detected"
+      );
+    }
+    Object.entries(MERGE_CATEGORIES).forEach(([category, label]) => {
+      const entries = merge.changes.filter(
+        (change) => change.category === category
+      );
+      if (entries.length) {
+        lines.push(`${label} (${entries.length}):`);
+        entries.forEach((entry) => lines.push(`  ${formatEntry(entry)}`));
+      }
+    });
+    console.log(lines.join("\n"));
+    return conflicted ? 1 : 0;
+  }
+
+  checkCompatible(results);
+  const comparison = compareExports(left, right, options.key);
+  if (options.drift) {
+    comparison.drift = compareDrift(left, right, options.key);
+  }
+  if (options.report) {
+    const report = buildComparisonReport(
+      results.map((result, index) => ({
+        label: `Dataset ${datasetLabel(index)}`,
+        source: path.basename(result.file),
+        root: result.root,
+        recipe: result.recipe,
+        columns: result.columns,
+        leaves: result.leaves.map((hash, leaf) => ({
+          hash,
+          title: result.titles[leaf],
+        })),
+      }))
+    );
+    fs.writeFileSync(
+      options.report,
+      formatComparisonReport(report, reportFormat(options.report))
+    );
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        { left: strip(left), right: strip(right), ...comparison },
+        null,
+        2
+      )
+    );
+    return comparison.match ? 0 : 1;
+  }
+
+  const lines = [
+    summarizeExport("A: ", left),
+    summarizeExport("B: ", right),
+    "",
+    comparison.match ? "Result: match" : "Result: mismatch",
+  ];
+  if (!comparison.match && left.recipe !== right.recipe) {
+    lines.push("Hash recipes differ");
+  }
+  if (!comparison.match && left.columns.join(",") !== right.columns.join(",")) {
+    lines.push("Hashed columns differ");
+  }
+  if (!comparison.match && comparison.contentMatch) {
+    lines.push("Content identical, metadata differs");
+  }
+  if (!comparison.match) {
+    [
+      ["Only in A", comparison.removed],
+      ["Only in B", comparison.added],
+    ].forEach(([label, entries]) => {
+      if (entries.length) {
+        lines.push(`${label} (${entries.length}):`);
+        entries.forEach((entry) => lines.push(`  ${formatEntry(entry)}`));
+      }
+    });
+    if (comparison.modified.length) {
+      lines.push(`Modified (${comparison.modified.length}):`);
+      comparison.modified.forEach((entry) => {
+        lines.push(`  ${formatEntry(entry)}: ${entry.fields.join(", ")}`);
+      });
+    }
+  }
+  if (comparison.drift) {
+    const { counts, entries } = comparison.drift;
+    lines.push(
+      `Newer in A: ${counts.newerLeft}, newer in B: ${counts.newerRight}`
+    );
+    Object.entries(DRIFT_CATEGORIES).forEach(([category, label]) => {
+      const matching = entries.filter((entry) => entry.category === category);
+      if (matching.length) {
+        lines.push(`${label} (${matching.length}):`);
+        matching.forEach((entry) => {
+          lines.push(
+            `  ${entry.key.join(" / ")}: A ${entry.leftModified || "-"}, B ${
+              entry.rightModified || "-"
+            }${entry.newer ? ` (newer in ${entry.newer})` : ""}`
+          );
+        });
+      }
+    });
+  }
+  console.log(lines.join("\n"));
+  return comparison.match ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    if (error instanceof UsageError) {
+      console.error(`xc-diff: ${error.message}\n\n${USAGE}`);
+    } else if (error instanceof ExportParseError || error.code === "ENOENT") {
+      console.error(`xc-diff: ${error.message}`);
+    } else {
+      console.error(error);
+    }
+    process.exitCode = 2;
+  }
+);
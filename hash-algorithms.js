@@ -0,0 +1,303 @@
+const KECCAK_ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000],
+  [0x00008082, 0x00000000],
+  [0x0000808a, 0x80000000],
+  [0x80008000, 0x80000000],
+  [0x0000808b, 0x00000000],
+  [0x80000001, 0x00000000],
+  [0x80008081, 0x80000000],
+  [0x00008009, 0x80000000],
+  [0x0000008a, 0x00000000],
+  [0x00000088, 0x00000000],
+  [0x80008009, 0x00000000],
+  [0x8000000a, 0x00000000],
+  [0x8000808b, 0x00000000],
+  [0x0000008b, 0x80000000],
+  [0x00008089, 0x80000000],
+  [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000],
+  [0x00000080, 0x80000000],
+  [0x0000800a, 0x00000000],
+  [0x8000000a, 0x80000000],
+  [0x80008081, 0x80000000],
+  [0x00008080, 0x80000000],
+  [0x80000001, 0x00000000],
+  [0x80008008, 0x80000000],
+];
+
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18,
+  2, 61, 56, 14,
+];
+
+const SHA3_256_RATE = 136;
+
+const BLAKE3_IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+
+const BLAKE3_MESSAGE_PERMUTATION = [
+  2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8,
+];
+
+const BLAKE3_CHUNK_LENGTH = 1024;
+const BLAKE3_BLOCK_LENGTH = 64;
+const BLAKE3_CHUNK_START = 1;
+const BLAKE3_CHUNK_END = 2;
+const BLAKE3_PARENT = 4;
+const BLAKE3_ROOT = 8;
+
+function sha3Digest(bytes) {
+  const state = new Uint32Array(50);
+  const padded = new Uint8Array(
+    (Math.floor(bytes.length / SHA3_256_RATE) + 1) * SHA3_256_RATE
+  );
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x06;
+  padded[padded.length - 1] ^= 0x80;
+
+  for (let offset = 0; offset < padded.length; offset += SHA3_256_RATE) {
+    for (let i = 0; i < SHA3_256_RATE; i += 4) {
+      state[i >> 2] ^=
+        padded[offset + i] |
+        (padded[offset + i + 1] << 8) |
+        (padded[offset + i + 2] << 16) |
+        (padded[offset + i + 3] << 24);
+    }
+    keccakPermute(state);
+  }
+
+  const output = new Uint8Array(32);
+  for (let i = 0; i < output.length; i += 1) {
+    output[i] = state[i >> 2] >>> ((i & 3) * 8);
+  }
+  return output;
+}
+
+function keccakPermute(state) {
+  const columns = new Uint32Array(10);
+  const rotated = new Uint32Array(50);
+
+  for (const [roundLow, roundHigh] of KECCAK_ROUND_CONSTANTS) {
+    for (let x = 0; x < 5; x += 1) {
+      columns[x * 2] =
+        state[x * 2] ^
+        state[x * 2 + 10] ^
+        state[x * 2 + 20] ^
+        state[x * 2 + 30] ^
+        state[x * 2 + 40];
+      columns[x * 2 + 1] =
+        state[x * 2 + 1] ^
+        state[x * 2 + 11] ^
+        state[x * 2 + 21] ^
+        state[x * 2 + 31] ^
+        state[x * 2 + 41];
+    }
+    for (let x = 0; x < 5; x += 1) {
+      const previous = ((x + 4) % 5) * 2;
+      const next = ((x + 1) % 5) * 2;
+      const low =
+        columns[previous] ^ ((columns[next] << 1) | (columns[next + 1] >>> 31));
+      const high =
+        columns[previous + 1] ^
+        ((columns[next + 1] << 1) | (columns[next] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        state[(x + y) * 2] ^= low;
+        state[(x + y) * 2 + 1] ^= high;
+      }
+    }
+
+    for (let x = 0; x < 5; x += 1) {
+      for (let y = 0; y < 5; y += 1) {
+        const lane = x + 5 * y;
+        const target = y + 5 * ((2 * x + 3 * y) % 5);
+        const [low, high] = rotateLane(
+          state[lane * 2],
+          state[lane * 2 + 1],
+          KECCAK_ROTATIONS[lane]
+        );
+        rotated[target * 2] = low;
+        rotated[target * 2 + 1] = high;
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x += 1) {
+        const lane = (x + y) * 2;
+        const next = (((x + 1) % 5) + y) * 2;
+        const afterNext = (((x + 2) % 5) + y) * 2;
+        state[lane] = rotated[lane] ^ (~rotated[next] & rotated[afterNext]);
+        state[lane + 1] =
+          rotated[lane + 1] ^ (~rotated[next + 1] & rotated[afterNext + 1]);
+      }
+    }
+
+    state[0] ^= roundLow;
+    state[1] ^= roundHigh;
+  }
+}
+
+function rotateLane(low, high, distance) {
+  if (distance === 0) {
+    return [low, high];
+  }
+  if (distance >= 32) {
+    [low, high] = [high, low];
+    distance -= 32;
+    if (distance === 0) {
+      return [low, high];
+    }
+  }
+  return [
+    (low << distance) | (high >>> (32 - distance)),
+    (high << distance) | (low >>> (32 - distance)),
+  ];
+}
+
+function blake3Digest(bytes) {
+  const chunkCount = Math.max(1, Math.ceil(bytes.length / BLAKE3_CHUNK_LENGTH));
+  const stack = [];
+
+  for (let chunk = 0; chunk < chunkCount - 1; chunk += 1) {
+    let chainingValue = blake3OutputChainingValue(
+      blake3ChunkOutput(bytes, chunk)
+    );
+    let completed = chunk + 1;
+    while ((completed & 1) === 0) {
+      chainingValue = blake3OutputChainingValue(
+        blake3ParentOutput(stack.pop(), chainingValue)
+      );
+      completed >>= 1;
+    }
+    stack.push(chainingValue);
+  }
+
+  let output = blake3ChunkOutput(bytes, chunkCount - 1);
+  while (stack.length) {
+    output = blake3ParentOutput(stack.pop(), blake3OutputChainingValue(output));
+  }
+
+  const words = blake3Compress(
+    output.chainingValue,
+    output.block,
+    output.counter,
+    output.blockLength,
+    output.flags | BLAKE3_ROOT
+  );
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < digest.length; i += 1) {
+    digest[i] = words[i >> 2] >>> ((i & 3) * 8);
+  }
+  return digest;
+}
+
+function blake3ChunkOutput(bytes, chunk) {
+  const start = chunk * BLAKE3_CHUNK_LENGTH;
+  const end = Math.min(start + BLAKE3_CHUNK_LENGTH, bytes.length);
+  const blockCount = Math.max(
+    1,
+    Math.ceil((end - start) / BLAKE3_BLOCK_LENGTH)
+  );
+  let chainingValue = BLAKE3_IV;
+
+  for (let block = 0; block < blockCount; block += 1) {
+    const blockStart = start + block * BLAKE3_BLOCK_LENGTH;
+    const blockEnd = Math.min(blockStart + BLAKE3_BLOCK_LENGTH, end);
+    const output = {
+      chainingValue,
+      block: blake3BlockWords(bytes, blockStart, blockEnd),
+      counter: chunk,
+      blockLength: blockEnd - blockStart,
+      flags:
+        (block === 0 ? BLAKE3_CHUNK_START : 0) |
+        (block === blockCount - 1 ? BLAKE3_CHUNK_END : 0),
+    };
+    if (block === blockCount - 1) {
+      return output;
+    }
+    chainingValue = blake3OutputChainingValue(output);
+  }
+  return null;
+}
+
+function blake3ParentOutput(leftChainingValue, rightChainingValue) {
+  return {
+    chainingValue: BLAKE3_IV,
+    block: [...leftChainingValue, ...rightChainingValue],
+    counter: 0,
+    blockLength: BLAKE3_BLOCK_LENGTH,
+    flags: BLAKE3_PARENT,
+  };
+}
+
+function blake3OutputChainingValue(output) {
+  return Array.from(
+    blake3Compress(
+      output.chainingValue,
+      output.block,
+      output.counter,
+      output.blockLength,
+      output.flags
+    ).subarray(0, 8)
+  );
+}
+
+function blake3BlockWords(bytes, start, end) {
+  const words = new Array(16).fill(0);
+  for (let i = start; i < end; i += 1) {
+    words[(i - start) >> 2] |= bytes[i] << (((i - start) & 3) * 8);
+  }
+  return words;
+}
+
+function blake3Compress(chainingValue, block, counter, blockLength, flags) {
+  const state = new Uint32Array([
+    ...chainingValue,
+    BLAKE3_IV[0],
+    BLAKE3_IV[1],
+    BLAKE3_IV[2],
+    BLAKE3_IV[3],
+    counter >>> 0,
+    Math.floor(counter / 0x100000000) >>> 0,
+    blockLength,
+    flags,
+  ]);
+  let message = [...block];
+
+  for (let round = 0; round < 7; round += 1) {
+    blake3Mix(state, 0, 4, 8, 12, message[0], message[1]);
+    blake3Mix(state, 1, 5, 9, 13, message[2], message[3]);
+    blake3Mix(state, 2, 6, 10, 14, message[4], message[5]);
+    blake3Mix(state, 3, 7, 11, 15, message[6], message[7]);
+    blake3Mix(state, 0, 5, 10, 15, message[8], message[9]);
+    blake3Mix(state, 1, 6, 11, 12, message[10], message[11]);
+    blake3Mix(state, 2, 7, 8, 13, message[12], message[13]);
+    blake3Mix(state, 3, 4, 9, 14, message[14], message[15]);
+    message = BLAKE3_MESSAGE_PERMUTATION.map((index) => message[index]);
+  }
+
+  for (let i = 0; i < 8; i += 1) {
+    state[i] ^= state[i + 8];
+  }
+  return state;
+}
+
+function blake3Mix(state, a, b, c, d, first, second) {
+  state[a] = state[a] + state[b] + first;
+  state[d] = rotateRight(state[d] ^ state[a], 16);
+  state[c] = state[c] + state[d];
+  state[b] = rotateRight(state[b] ^ state[c], 12);
+  state[a] = state[a] + state[b] + second;
+  state[d] = rotateRight(state[d] ^ state[a], 8);
+  state[c] = state[c] + state[d];
+  state[b] = rotateRight(state[b] ^ state[c], 7);
+}
+
+function rotateRight(value, distance) {
+  return (value >>> distance) | (value << (32 - distance));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { blake3Digest, sha3Digest };
+}
@@ -0,0 +1,15 @@
+importScripts("hash-algorithms.js", "app.js");
+
+self.addEventListener("message", async (event) => {
+  const { id, type, payload } = event.data;
+  try {
+    const result = await runPipelineJob(type, payload, {
+      onProgress: (progress) => {
+        self.postMessage({ id, type: "progress", progress });
+      },
+    });
+    self.postMessage({ id, type: "result", result });
+  } catch (error) {
+    self.postMessage({ id, type: "error", error: serializeError(error) });
+  }
+});
@@ -0,0 +1,64 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+const { blake3Digest, sha3Digest } = require("../hash-algorithms.js");
+
+const text = (value) => new TextEncoder().encode(value);
+const repeated = (length, byte) => new Uint8Array(length).fill(byte);
+const counting = (length) =>
+  Uint8Array.from({ length }, (_, index) => index % 251);
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+test("SHA3-256 matches the FIPS 202 known answers", () => {
+  [
+    [
+      text(""),
+      "a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a",
+    ],
+    [
+      text("abc"),
+      "3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532",
+    ],
+    [
+      repeated(200, 0xa3),
+      "79f38adec5c20307a98ef76e8324afbfd46cfd81b22e3973c65fa1bd9de31787",
+    ],
+    [
+      counting(1025),
+      "413cf357775aef534fcd49da91a30f7877b50bbd924a20649315a4827f79cac0",
+    ],
+  ].forEach(([input, expected]) => {
+    assert.equal(hex(sha3Digest(input)), expected);
+  });
+});
+
+test("BLAKE3 matches the reference test vectors", () => {
+  [
+    [
+      counting(0),
+      "af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262",
+    ],
+    [
+      text("abc"),
+      "6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85",
+    ],
+    [
+      counting(1024),
+      "42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7",
+    ],
+    [
+      counting(1025),
+      "d00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444",
+    ],
+    [
+      counting(3072),
+      "b98cb0ff3623be03326b373de6b9095218513e64f1ee2edd2525c7ad1e5cffd2",
+    ],
+    [
+      counting(4097),
+      "9b4052b38f1c5fc8b1f9ff7ac7b27cd242487b3d890d15c96a1c25b8aa0fb995",
+    ],
+  ].forEach(([input, expected]) => {
+    assert.equal(hex(blake3Digest(input)), expected);
+  });
+});